@@ -0,0 +1,281 @@
+/**
+ * Alert Rules — user-defined conditions checked after every refresh
+ * A rule is { id, name, enabled, match: 'all'|'any', conditions, actions }.
+ * Conditions are { field, op, value } (see FIELDS; stationDelay also
+ * carries the station code or name as { station }); actions are
+ * { notify, sound, webhook }. Rules run on each trains-updated event
+ * against the trains around the active location plus watched trains, and
+ * fire once when a train starts matching, not on every refresh after. A
+ * location's profile can limit which rules run there (alertRules ids).
+ */
+
+const AlertRules = {
+  FIELDS: {
+    route: { label: 'Route', ops: ['contains', 'is'], input: 'text' },
+    number: { label: 'Train number', ops: ['is'], input: 'text' },
+    provider: { label: 'Provider', ops: ['is', 'isNot'], input: 'provider' },
+    distance: { label: 'Distance (mi)', ops: ['lt', 'gt'], input: 'number' },
+    speed: { label: 'Speed (mph)', ops: ['lt', 'gt'], input: 'number' },
+    delay: { label: 'Delay (min)', ops: ['lt', 'gt'], input: 'number' },
+    stationDelay: { label: 'Delay at station (min)', ops: ['lt', 'gt'], input: 'stationDelay' },
+    direction: { label: 'Direction', ops: ['is'], input: 'direction' },
+    time: { label: 'Time of day', ops: ['between'], input: 'timeRange' },
+    location: { label: 'Location', ops: ['is'], input: 'location' }
+  },
+  OPS: {
+    contains: 'contains',
+    is: 'is',
+    isNot: 'is not',
+    lt: 'under',
+    gt: 'over',
+    between: 'between'
+  },
+  DIRECTIONS: ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW', 'approaching', 'receding'],
+
+  firing: new Map(), // rule id -> Set of trainIDs that matched last time
+  onFire: null,
+
+  /**
+   * Build a new rule from the editor's fields
+   * @param {Object} fields - { name, match, conditions, actions }
+   */
+  create(fields) {
+    return { id: `rule-${Date.now().toString(36)}`, enabled: true, ...fields };
+  },
+
+  /**
+   * Run the rules after every refresh
+   * @param {Function} [onFire] - Called with (rule, train, message) each time a rule fires
+   */
+  init(onFire) {
+    this.onFire = onFire;
+    Tracker.on('trains-updated', e => this.run(e));
+  },
+
+  /**
+   * Check every enabled rule against a trains-updated payload and fire
+   * the ones with newly matching trains
+   */
+  run({ all, watched = [], time, location }) {
+    const trains = new Map(all.map(t => [t.trainID, t]));
+    watched.forEach(w => w.trains.forEach(t => trains.set(t.trainID, t)));
+    const context = { time, location };
+
+    // Rules this location's profile leaves out don't run here; during quiet
+    // hours matches are still tracked, so they don't all fire at once when they end
+    const saved = location ? Storage.getLocations().find(l => l.name === location.name) || null : null;
+    const settings = Storage.getLocationSettings(saved);
+    const quiet = QuietHours.isActive(settings);
+
+    Storage.getAlertRules().forEach(rule => {
+      if (!rule.enabled || (settings.alertRules && !settings.alertRules.includes(rule.id))) {
+        this.firing.delete(rule.id);
+        return;
+      }
+
+      const before = this.firing.get(rule.id) || new Set();
+      const now = new Set();
+      trains.forEach(train => {
+        if (!this.matches(rule, train, context)) return;
+        now.add(train.trainID);
+        if (!before.has(train.trainID) && !quiet) this.fire(rule, train, context);
+      });
+      this.firing.set(rule.id, now);
+    });
+  },
+
+  /**
+   * Whether a train satisfies a rule's conditions (all of them, or any)
+   * @param {Object} context - { time, location }
+   */
+  matches(rule, train, context) {
+    if (rule.conditions.length === 0) return false;
+    const test = c => this.test(c, train, context);
+    return rule.match === 'any' ? rule.conditions.some(test) : rule.conditions.every(test);
+  },
+
+  /**
+   * Evaluate one condition. Unknown values (no delay data, no heading)
+   * never match.
+   */
+  test({ field, op, value, station }, train, { time, location }) {
+    switch (field) {
+      case 'route':
+      case 'number': {
+        const actual = this.normalize(field === 'route' ? train.routeName : train.trainNum);
+        const wanted = this.normalize(value);
+        return op === 'contains' ? actual.includes(wanted) : actual === wanted;
+      }
+      case 'provider':
+        return (train.providerId === value) === (op === 'is');
+      case 'distance':
+        return this.compare(train.distance, op, value);
+      case 'speed':
+        return this.compare(train.velocity || 0, op, value);
+      case 'delay':
+        return this.compare(Providers.getDelayMinutes(train), op, value);
+      case 'stationDelay':
+        return this.compare(this.stationDelay(train, station), op, value);
+      case 'direction':
+        if (value === 'approaching') return !!train.approaching;
+        if (value === 'receding') return !!train.receding;
+        return this.headingMatches(train.heading, value);
+      case 'time':
+        return this.inTimeWindow(time, value);
+      case 'location':
+        return !!location && location.name === value;
+      default:
+        return false;
+    }
+  },
+
+  /**
+   * A train's delay at one of its stops (matched by code or name), or
+   * null if it doesn't call there or has no times for it
+   */
+  stationDelay(train, station) {
+    const wanted = this.normalize(station);
+    const stop = (train.stations || []).find(s => this.normalize(s.code) === wanted || this.normalize(s.name) === wanted);
+    return stop ? Providers.getStopDelay(stop) : null;
+  },
+
+  compare(actual, op, value) {
+    const limit = parseFloat(value);
+    if (actual === null || actual === undefined || isNaN(limit)) return false;
+    return op === 'lt' ? actual < limit : actual > limit;
+  },
+
+  /**
+   * Whether a heading is in the 45° sector (±22.5°) around an 8-point
+   * direction, so "N" also covers NNE and NNW from GTFS-RT feeds
+   */
+  headingMatches(heading, direction) {
+    const actual = Location.headingToDegrees(heading);
+    const wanted = Location.headingToDegrees(direction);
+    if (actual === undefined || wanted === undefined) return false;
+    const diff = Math.abs(((actual - wanted) % 360 + 540) % 360 - 180);
+    return diff <= 22.5;
+  },
+
+  /**
+   * Whether a time falls in an "HH:MM-HH:MM" window; windows that end
+   * before they start run past midnight ("22:00-02:00")
+   * @param {number} time - Epoch ms
+   */
+  inTimeWindow(time, range) {
+    const [start, end] = String(range).split('-');
+    return QuietHours.inWindow(time, start, end);
+  },
+
+  normalize(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  },
+
+  /**
+   * Check a rule from the editor before it's saved
+   * @throws {Error} Describing the first problem
+   */
+  validate(rule) {
+    if (!rule.name) throw new Error('Give the rule a name');
+    if (rule.conditions.length === 0) throw new Error('Add at least one condition');
+
+    rule.conditions.forEach(({ field, op, value, station }) => {
+      const spec = this.FIELDS[field];
+      if (!spec || !spec.ops.includes(op)) throw new Error(`Unknown condition: ${field} ${op}`);
+      if (value === '' || value === undefined) throw new Error(`${spec.label} needs a value`);
+      if (spec.input === 'stationDelay' && !station) throw new Error(`${spec.label} needs a station`);
+      if ((spec.input === 'number' || spec.input === 'stationDelay') && isNaN(parseFloat(value))) throw new Error(`${spec.label} must be a number`);
+      if (spec.input === 'timeRange' && String(value).split('-').map(t => QuietHours.toMinutes(t)).includes(null)) {
+        throw new Error('Time of day needs a start and an end');
+      }
+    });
+
+    const { notify, sound, webhook } = rule.actions;
+    if (webhook && !/^https?:\/\//i.test(webhook)) throw new Error('Webhook must be an http(s) URL');
+    if (!notify && !sound && !webhook) throw new Error('Choose what the rule should do');
+  },
+
+  /**
+   * One-line summary, e.g. "Route contains chief AND Distance (mi) under 5"
+   */
+  describe(rule) {
+    const joiner = rule.match === 'any' ? ' OR ' : ' AND ';
+    return rule.conditions.map(c => this.describeCondition(c)).join(joiner);
+  },
+
+  describeCondition({ field, op, value, station }) {
+    if (field === 'stationDelay') return `Delay at ${station} (min) ${this.OPS[op]} ${value}`;
+    return `${this.FIELDS[field].label} ${this.OPS[op]} ${field === 'provider' ? this.providerLabel(value) : value}`;
+  },
+
+  providerLabel(id) {
+    const provider = Providers.get(id);
+    return provider ? provider.label : id;
+  },
+
+  /**
+   * Forget which trains a rule last matched, so an edited rule fires afresh
+   */
+  reset(id) {
+    this.firing.delete(id);
+  },
+
+  /**
+   * Carry out a rule's actions for a train
+   */
+  fire(rule, train, { time, location }) {
+    const status = Providers.getStatus(train);
+    const where = location ? ` from ${location.name}` : '';
+    const message = {
+      key: `rule:${rule.id}:${train.trainID}`,
+      title: `🔔 ${rule.name}`,
+      body: `${Providers.getEmoji(train)} ${train.routeName || 'Train'} #${train.trainNum} · ${Tracker.formatDistance(train.distance)}${where} · ${Tracker.formatSpeed(train.velocity)} · ${status.label}`
+    };
+
+    if (rule.actions.notify) Notifier.notify(message, { train, time });
+    if (rule.actions.sound) Effects.playChime();
+    if (rule.actions.webhook) this.postWebhook(rule, train, { time, location, status });
+    if (this.onFire) this.onFire(rule, train, message);
+  },
+
+  /**
+   * POST the match as JSON. The endpoint has to allow cross-origin requests.
+   * Sent once (a retry after a timeout could deliver it twice), and the
+   * hook's failures stay out of the host's circuit breaker.
+   */
+  async postWebhook(rule, train, { time, location, status }) {
+    const body = {
+      rule: { id: rule.id, name: rule.name },
+      time: new Date(time).toISOString(),
+      location: location ? location.name : null,
+      train: {
+        trainID: train.trainID,
+        trainNum: train.trainNum,
+        routeName: train.routeName,
+        provider: train.provider,
+        lat: train.lat,
+        lon: train.lon,
+        heading: train.heading,
+        speed: train.velocity,
+        distance: train.distance,
+        delayMinutes: status.delayMinutes,
+        status: status.label
+      }
+    };
+
+    try {
+      await Http.request(rule.actions.webhook, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        retries: 0,
+        record: false,
+        breaker: false
+      });
+    } catch (e) {
+      console.warn(`Webhook for rule "${rule.name}" failed:`, e.message);
+    }
+  }
+};
+
+window.AlertRules = AlertRules;
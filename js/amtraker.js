@@ -8,82 +8,91 @@
 const AmtrakerClient = {
   BASE_URL: 'https://api-v3.amtraker.com/v3',
 
-  lastCall: 0,
-  minInterval: 2000, // 2 seconds between calls
-
-  async rateLimit() {
-    const now = Date.now();
-    const elapsed = now - this.lastCall;
-    if (elapsed < this.minInterval) {
-      await new Promise(r => setTimeout(r, this.minInterval - elapsed));
-    }
-    this.lastCall = Date.now();
-  },
-
   /**
    * Fetch all active trains
    * Returns object keyed by train number, each containing array of train objects
    */
   async getAllTrains() {
-    await this.rateLimit();
-
-    const response = await fetch(`${this.BASE_URL}/trains`);
-    if (!response.ok) {
-      throw new Error(`Amtraker API error: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    return data;
+    return Http.json(`${this.BASE_URL}/trains`);
   },
 
   /**
    * Fetch a specific train by number
    */
   async getTrain(trainNum) {
-    await this.rateLimit();
-
-    const response = await fetch(`${this.BASE_URL}/trains/${trainNum}`);
-    if (!response.ok) {
-      throw new Error(`Amtraker API error: ${response.status}`);
-    }
+    return Http.json(`${this.BASE_URL}/trains/${trainNum}`);
+  },
 
-    return await response.json();
+  /**
+   * Fetch one running train's full record, including every stop with
+   * scheduled and actual/estimated times. /trains/:num returns every
+   * instance of that number (e.g. yesterday's still en route), so pick
+   * the one matching trainID.
+   * @returns {Promise<Object|null>} null if the train is no longer running
+   */
+  async getTrainDetail(trainID, trainNum) {
+    const instances = this.flattenTrains(await this.getTrain(trainNum) || {});
+    return instances.find(t => t.trainID === trainID) || null;
   },
 
   /**
    * Fetch all stations
    */
   async getAllStations() {
-    await this.rateLimit();
-
-    const response = await fetch(`${this.BASE_URL}/stations`);
-    if (!response.ok) {
-      throw new Error(`Amtraker API error: ${response.status}`);
-    }
-
-    return await response.json();
+    return Http.json(`${this.BASE_URL}/stations`);
   },
 
   /**
    * Fetch a specific station
    */
   async getStation(stationCode) {
-    await this.rateLimit();
-
-    const response = await fetch(`${this.BASE_URL}/stations/${stationCode}`);
-    if (!response.ok) {
-      throw new Error(`Amtraker API error: ${response.status}`);
-    }
+    return Http.json(`${this.BASE_URL}/stations/${stationCode}`);
+  },
 
-    return await response.json();
+  /**
+   * Build a station's arrivals/departures board from its scheduled train
+   * list and the live train records (which carry each stop's times)
+   * @param {Object} station - From getStation (trains is a list of trainIDs)
+   * @param {Array} liveTrains - Current train records, e.g. Tracker.currentTrains
+   * @param {number} [now] - Trains that left before now - 30 min are dropped
+   * @returns {Array} Rows { trainID, trainNum, train, stop, terminates, time, scheduled, delay },
+   *   soonest first; train/stop are null for trains with no live record
+   */
+  buildStationBoard(station, liveTrains, now = Date.now()) {
+    const byID = new Map(liveTrains.map(t => [t.trainID, t]));
+
+    const rows = (station.trains || []).map(trainID => {
+      const train = byID.get(trainID) || null;
+      const stops = train && train.stations ? train.stations : [];
+      const idx = stops.findIndex(s => s.code === station.code);
+      const stop = idx >= 0 ? stops[idx] : null;
+      const terminates = !!stop && idx === stops.length - 1;
+      const estimated = stop ? (terminates ? stop.arr : stop.dep || stop.arr) : null;
+      const scheduled = stop ? (terminates ? stop.schArr : stop.schDep || stop.schArr) : null;
+
+      return {
+        trainID,
+        trainNum: train ? train.trainNum : String(trainID).split('-')[0],
+        train,
+        stop,
+        terminates,
+        time: estimated || scheduled ? new Date(estimated || scheduled).getTime() : null,
+        scheduled: scheduled ? new Date(scheduled).getTime() : null,
+        delay: stop ? Providers.getStopDelay(stop) : null
+      };
+    });
+
+    return rows
+      .filter(r => r.time === null || r.stop.status !== 'Departed' || r.time > now - 30 * 60000)
+      .sort((a, b) => (a.time ?? Infinity) - (b.time ?? Infinity));
   },
 
   /**
    * Check if the API data is stale
+   * @returns {Promise<Object>} { avgLastUpdate, activeTrains, stale }
    */
   async checkStale() {
-    const response = await fetch(`${this.BASE_URL}/stale`);
-    return await response.json();
+    return Http.json(`${this.BASE_URL}/stale`, { retries: 0 });
   },
 
   /**
@@ -201,29 +210,6 @@ const AmtrakerClient = {
     return train.stations.find(s => s.status !== 'Departed' && s.status !== 'Station') || null;
   },
 
-  /**
-   * Get on-time status text from iconColor
-   */
-  getStatusText(train) {
-    const color = (train.iconColor || '').toLowerCase();
-    if (color.includes('2a893d') || color.includes('16a34a') || color.startsWith('#2')) return 'On Time';
-    if (color.includes('ca8a') || color.includes('f59e') || color.includes('c4840f') || color.includes('c6')) return 'Delayed';
-    if (color.includes('dc26') || color.includes('c60b')) return 'Late';
-    if (color === '#212529') return 'Predeparture';
-    return train.trainTimely || 'Active';
-  },
-
-  /**
-   * Get CSS color class for status
-   */
-  getStatusColor(train) {
-    const color = (train.iconColor || '').toLowerCase();
-    if (color.includes('2a893d') || color.includes('298c') || color.includes('2c92') || color.includes('389') || color.includes('409') || color.includes('16a34a')) return 'var(--train-green)';
-    if (color.includes('c48') || color.includes('c68') || color.includes('c67') || color.includes('c66') || color.includes('c65') || color.includes('c28') || color.includes('bca') || color.includes('b6b7')) return 'var(--train-yellow)';
-    if (color.includes('c60b') || color.includes('c63c') || color.includes('c647') || color.includes('c64') || color.includes('dc26')) return 'var(--train-red)';
-    return 'var(--text-muted)';
-  },
-
   /**
    * Get Amtraker.com URL for a specific train instance
    */
@@ -233,17 +219,41 @@ const AmtrakerClient = {
       return `https://amtraker.com/trains/${parts[0]}/${parts[1]}`;
     }
     return `https://amtraker.com/trains/${train.trainNum}`;
-  },
-
-  /**
-   * Get provider emoji
-   */
-  getProviderEmoji(train) {
-    const provider = (train.provider || '').toLowerCase();
-    if (provider === 'brightline') return '🟡';
-    if (provider === 'via') return '🍁';
-    return '🚆';
   }
 };
 
 window.AmtrakerClient = AmtrakerClient;
+
+// Point at a mock server when overridden (see Storage.getApiOverrides)
+AmtrakerClient.BASE_URL = Storage.getApiOverrides().amtraker || AmtrakerClient.BASE_URL;
+
+// Be polite to the free API: at least 1s between calls
+Http.configureHost(AmtrakerClient.BASE_URL, { minInterval: 1000 });
+
+// Amtrak, VIA and Brightline all come back from the single /trains call,
+// so they share one source and each normalizer picks out its own trains.
+// Any other operator Amtraker adds is kept and goes with Amtrak.
+const AMTRAKER_PROVIDERS = [
+  { id: 'amtrak', label: 'Amtrak', emoji: '🚆', color: '#2563eb' },
+  { id: 'via', label: 'VIA Rail', region: 'Canada', emoji: '🍁', color: '#dc2626' },
+  { id: 'brightline', label: 'Brightline', region: 'Florida', emoji: '🟡', color: '#eab308' }
+];
+const unknownAmtrakerProviders = new Set();
+
+AMTRAKER_PROVIDERS.forEach(provider => {
+  Providers.register({
+    ...provider,
+    source: 'amtraker',
+    fetch: () => AmtrakerClient.getTrainsFlat(),
+    normalize: trains => trains.filter(t => {
+      const id = (t.provider || '').toLowerCase();
+      if (id === provider.id) return true;
+      if (provider.id !== 'amtrak' || AMTRAKER_PROVIDERS.some(p => p.id === id)) return false;
+      if (id && !unknownAmtrakerProviders.has(id)) {
+        unknownAmtrakerProviders.add(id);
+        console.warn(`Unknown Amtraker provider "${t.provider || ''}", showing its trains with Amtrak`);
+      }
+      return true;
+    })
+  });
+});
@@ -9,9 +9,16 @@ const App = {
   countdownValue: 0,
   isRefreshing: false,
   refreshGeneration: 0,
+  serviceAlerts: [],
   stationsCache: null,
   stationsCacheTime: 0,
   STATIONS_CACHE_DURATION: 300000, // 5 minutes
+  detailTrain: null, // train shown in the detail panel
+  boardStation: null, // station shown in the departure board
+  tabCounts: {}, // location name -> nearby trains, for the tab badges
+  mapTrains: [], // trains around the active location shown on the map
+  watched: [], // Tracker result.watched: [{ entry, trains }]
+  editingRule: null, // alert rule open in the editor (null for a new one)
 
   /**
    * Add the top 3 Amtrak hubs alongside the user's first location pick.
@@ -50,6 +57,14 @@ const App = {
     // Initialize effects engine
     Effects.init();
 
+    this.bindTrackerEvents();
+    Notifier.init((trainID) => this.openTrainDetail(trainID));
+    AlertRules.init((rule, train, message) => UI.showToast(`${message.title} · ${train.routeName || 'Train'} #${train.trainNum}`, 'info', 5000));
+
+    // Load cached static GTFS before the first refresh so names resolve
+    await GtfsStatic.init();
+    await RouteGeometry.init();
+
     // Check if we have a saved location
     const activeLocation = Storage.getActiveLocation();
 
@@ -73,9 +88,85 @@ const App = {
     // Mark as visited
     Storage.markVisited();
 
+    if (Storage.getApiOverrides().amtraker) {
+      UI.showToast(`🧪 Using mock APIs at ${AmtrakerClient.BASE_URL} (?mock=off to switch back)`, 'info');
+    }
+
     console.log('🚂 Dick Wallner Train Tracker ready!');
   },
 
+  /**
+   * React to tracker events
+   */
+  bindTrackerEvents() {
+    // ✨ Confetti burst for each newly spotted train (here, not at the
+    // locations watched in the background)
+    Tracker.on('train-spotted', ({ location }) => {
+      const active = Storage.getActiveLocation();
+      if (active && location.name === active.name) Effects.celebrateNewTrain();
+    });
+  },
+
+  /**
+   * Show the geofence editor and start drawing on the map
+   */
+  openGeofenceEditor() {
+    UI.toggleGeofenceBar(true);
+    this.renderGeofences();
+    this.startDrawingGeofence();
+  },
+
+  closeGeofenceEditor() {
+    MapManager.stopDrawing();
+    UI.toggleGeofenceBar(false);
+  },
+
+  startDrawingGeofence() {
+    const type = UI.elements.geofenceType?.value || 'polygon';
+    MapManager.startDrawing(type, points => UI.updateGeofenceHint(UI.elements.geofenceType?.value || type, points.length));
+    UI.updateGeofenceHint(type, 0);
+  },
+
+  /**
+   * Save the drawn geofence to the active location and start a new one
+   */
+  saveGeofence() {
+    const location = Storage.getActiveLocation();
+    if (!location || !MapManager.drawing) return;
+
+    let fence;
+    try {
+      fence = Geofences.create(MapManager.drawing.type, MapManager.drawing.points, {
+        name: UI.elements.geofenceName?.value.trim(),
+        width: parseFloat(UI.elements.geofenceWidth?.value)
+      });
+    } catch (e) {
+      UI.showToast(e.message, 'error');
+      return;
+    }
+
+    Storage.saveGeofence(location.name, fence);
+    if (UI.elements.geofenceName) UI.elements.geofenceName.value = '';
+    this.renderGeofences();
+    this.startDrawingGeofence();
+    this.refresh();
+    UI.showToast(`${fence.name} saved — trains are now detected inside your geofences`, 'success');
+  },
+
+  /**
+   * Render the active location's geofences on the map and in the editor
+   */
+  renderGeofences() {
+    const location = Storage.getActiveLocation();
+    const fences = (location && location.geofences) || [];
+    MapManager.showGeofences(fences);
+    UI.renderGeofences(fences, (id) => {
+      Storage.removeGeofence(location.name, id);
+      this.renderGeofences();
+      this.refresh();
+    });
+  },
+
   /**
    * Start tracking at a given location
    */
@@ -95,18 +186,25 @@ const App = {
     // Clear stale data from previous location immediately
     UI.updateStats({ nearbyCount: 0, spottedToday: 0, closestDistance: null, avgSpeed: null });
     UI.updateHeroCard(null);
+    UI.updateComingSoon([]);
     UI.updateHistoryList([]);
+    this.serviceAlerts = [];
+    this.renderServiceAlerts();
 
     // Render location tabs
     this.renderTabs();
+    UI.updateTabBadges(this.tabCounts);
 
     // Initialize map at new location
+    UI.toggleGeofenceBar(false);
     MapManager.init(location.lat, location.lon);
+    MapManager.showGeofences(location.geofences || []);
 
-    // Update radius from settings
-    const settings = Storage.getSettings();
+    // Update radius from the location's settings
+    const settings = Storage.getLocationSettings(this.findSavedLocation(location));
     MapManager.updateRadius(settings.radius);
     if (UI.elements.detectionRadius) UI.elements.detectionRadius.textContent = settings.radius;
+    if (UI.elements.refreshIntervalDisplay) UI.elements.refreshIntervalDisplay.textContent = settings.refreshInterval;
 
     // Reset tracker
     Tracker.resetSession();
@@ -139,25 +237,37 @@ const App = {
       return;
     }
 
+    // Nothing is fetched during the active location's quiet hours
+    if (this.quietEndsAt(activeLocation)) {
+      this.showQuietHours(activeLocation);
+      this.isRefreshing = false;
+      return;
+    }
+
     console.log(`📍 Refreshing for: ${activeLocation.name} (${activeLocation.lat}, ${activeLocation.lon})`);
 
-    const settings = Storage.getSettings();
+    // Each saved location can override the global settings; the active
+    // one's apply to the map and lists, the others' to their badges
+    const otherLocations = Storage.getLocations().filter(loc => loc.name !== activeLocation.name);
+    const settings = Storage.getLocationSettings(this.findSavedLocation(activeLocation));
+    const otherSettings = new Map(otherLocations.map(loc => [loc.name, Storage.getLocationSettings(loc)]));
+    const providers = this.providersForAll([settings, ...otherSettings.values()]);
 
     try {
       UI.setStatus('loading', 'Fetching trains...');
 
-      // Fetch Amtrak trains + MTA trains in parallel
-      const mtaEnabled = settings.providers.lirr || settings.providers.metroNorth;
-      const [amtrakTrains, mtaTrains] = await Promise.all([
-        AmtrakerClient.getTrainsFlat(settings.providers),
-        mtaEnabled ? MTAClient.getAllTrains({
-          lirr: settings.providers.lirr,
-          metroNorth: settings.providers.metroNorth
-        }) : Promise.resolve([])
+      // Fetch every provider some location uses in parallel, plus Amtraker's staleness flag
+      const [{ trains, alerts, errors, providerCount }, staleProviders] = await Promise.all([
+        Providers.fetchAll(providers),
+        this.checkStaleProviders({ providers })
       ]);
 
-      // Merge all trains into a single array
-      const trains = [...amtrakTrains, ...mtaTrains];
+      // Only a total outage is an error; partial failures are shown as a warning below
+      if (providerCount > 0 && errors.length === providerCount) {
+        const labelsByMessage = new Map();
+        errors.forEach(e => labelsByMessage.set(e.message, [...(labelsByMessage.get(e.message) || []), e.label]));
+        throw new Error([...labelsByMessage].map(([message, labels]) => `${labels.join(', ')}: ${message}`).join(' · '));
+      }
 
       // If location changed while we were fetching, discard results
       if (myGeneration !== this.refreshGeneration) {
@@ -171,25 +281,38 @@ const App = {
         trains,
         activeLocation.lat,
         activeLocation.lon,
-        settings.radius
+        settings.radius,
+        staleProviders,
+        { geofences: activeLocation.geofences || [], providers: settings.providers, watchlist: Storage.getWatchlist() }
       );
 
       // Update map with ALL trains in view, not just nearby
-      // Show trains up to 2x radius for context
-      const extendedRadius = trains
-        .map(t => ({
-          ...t,
-          distance: AmtrakerClient.haversineDistance(activeLocation.lat, activeLocation.lon, t.lat, t.lon)
-        }))
-        .filter(t => t.distance <= settings.radius * 2)
+      // Show trains up to 2x radius for context, plus any in a geofence
+      this.mapTrains = result.all
+        .filter(t => t.distance <= settings.radius * 2 || t.inZone)
         .sort((a, b) => a.distance - b.distance);
+      this.watched = result.watched;
+      // A hidden tab polls only for notifications; the map catches up when it's shown
+      if (!document.hidden) this.updateMapTrains();
+      this.renderWatchlist();
+
+      // Watch every other saved location in the background too: their
+      // spotting logs stay current and their tabs show nearby counts
+      this.tabCounts = { [activeLocation.name]: result.nearby.length };
+      otherLocations.forEach(loc => {
+        this.tabCounts[loc.name] = Tracker.monitorLocation(loc, otherSettings.get(loc.name)).nearby.length;
+      });
+      UI.updateTabBadges(this.tabCounts);
 
-      MapManager.updateTrains(extendedRadius, result.closest ? result.closest.trainID : null);
+      // Service alerts for routes and stops near this location
+      this.serviceAlerts = ServiceAlerts.filterRelevant(alerts, result.all, settings.radius);
+      this.renderServiceAlerts();
 
       // Update UI
       UI.updateStats(result.stats);
       UI.updateHeroCard(result.closest);
       UI.updateNearbyList(result.nearby);
+      UI.updateComingSoon(result.comingSoon);
 
       // Fetch stations (skip cache since location may have changed)
       await this.refreshStations(activeLocation, settings);
@@ -209,14 +332,23 @@ const App = {
       const statusMsg = trainCount > 0
         ? `${trainCount} train${trainCount !== 1 ? 's' : ''} nearby · ${trains.length} total active`
         : `${trains.length} active · ${Effects.getIdlePhrase()}`;
-      UI.setStatus('active', statusMsg);
+      const staleNearby = result.all.filter(t => t.isStale && t.distance <= settings.radius * 2).length;
+      if (errors.length > 0) {
+        UI.setStatus('warning', `⚠️ ${errors.map(e => e.label).join(', ')} unavailable · ${statusMsg}`);
+      } else if (staleProviders.size > 0) {
+        UI.setStatus('warning', `⚠️ Amtraker data is stale · ${statusMsg}`);
+      } else if (staleNearby > 0) {
+        UI.setStatus('warning', `${statusMsg} · ⚠️ ${staleNearby} not updating`);
+      } else {
+        UI.setStatus('active', statusMsg);
+      }
 
       // ✨ Celebration effects
-      if (trainCount > 0) {
+      if (trainCount > 0 && !document.hidden) {
         Effects.celebrateTrains(trainCount);
       }
       // Confetti on first train of the session
-      if (trainCount > 0 && !this._celebratedFirstTrain) {
+      if (trainCount > 0 && !document.hidden && !this._celebratedFirstTrain) {
         this._celebratedFirstTrain = true;
         Effects.celebrateNewTrain();
       }
@@ -230,10 +362,300 @@ const App = {
       }
       console.error('Refresh error:', error);
       UI.setStatus('error', `Error: ${error.message}`);
-      UI.showToast('Failed to fetch train data. Will retry...', 'error');
+      UI.showToast('Failed to fetch train data. Will retry... (📡 Sources for details)', 'error');
+    }
+
+    // Keep the health and train detail panels live while they're open
+    if (!UI.elements.healthModal?.classList.contains('hidden')) this.renderHealth();
+    if (this.detailTrain && !UI.elements.trainModal?.classList.contains('hidden')) {
+      this.loadTrainDetail(this.findLiveTrain(this.detailTrain.trainID) || this.detailTrain);
+    }
+    if (this.boardStation && !UI.elements.stationModal?.classList.contains('hidden')) {
+      this.loadStationBoard(this.boardStation.code);
+    }
+
+    this.updateRecorderState();
+    this.isRefreshing = false;
+
+    if (Recorder.isFinished()) {
+      await this.stopReplay();
+      UI.showToast('Replay finished', 'success');
+    }
+  },
+
+  /**
+   * Open the detail panel for a train on the map or in today's history
+   * @param {string} trainID
+   */
+  openTrainDetail(trainID) {
+    const train = this.findLiveTrain(trainID)
+      || Storage.getHistory().filter(h => h.trainID === trainID).pop();
+    if (!train) return;
+
+    this.detailTrain = train;
+    UI.renderTrainDetail(train, { loading: true });
+    UI.openTrainDetail();
+    this.loadTrainDetail(train);
+  },
+
+  /**
+   * Fetch the full record behind the detail panel. Amtraker trains come
+   * from /trains/:num; commuter trains already carry their TripUpdate stops.
+   */
+  async loadTrainDetail(train) {
+    let detail = null;
+    let error = null;
+
+    try {
+      if (MTAClient.isGtfsTrain(train)) {
+        detail = this.findLiveTrain(train.trainID);
+      } else {
+        detail = await AmtrakerClient.getTrainDetail(train.trainID, train.trainNum);
+      }
+      if (!detail) error = 'This train is no longer reporting.';
+    } catch (e) {
+      console.warn('Train detail failed:', e.message);
+      error = `Couldn't load stops: ${e.message}`;
+    }
+
+    // The user may have opened another train meanwhile
+    if (!this.detailTrain || this.detailTrain.trainID !== train.trainID) return;
+    this.detailTrain = detail ? { ...train, ...detail } : train;
+    UI.renderTrainDetail(this.detailTrain, { error });
+  },
+
+  /**
+   * Open the departure board for a station
+   * @param {string} code - Amtraker station code
+   */
+  openStationBoard(code) {
+    const station = (this.stationsCache || []).find(s => s.code === code) || { code, name: code };
+    this.boardStation = station;
+    UI.renderStationBoard(station, [], { loading: true });
+    UI.openStationBoard();
+    this.loadStationBoard(code);
+  },
+
+  /**
+   * Fetch the station's scheduled trains and match them to live train
+   * records for times and status
+   */
+  async loadStationBoard(code) {
+    let station = this.boardStation;
+    let rows = [];
+    let error = null;
+
+    try {
+      const data = await AmtrakerClient.getStation(code);
+      station = (data && data[code]) || Object.values(data || {})[0];
+      if (!station) throw new Error('Station not found');
+      rows = AmtrakerClient.buildStationBoard(station, Tracker.currentTrains, Recorder.now());
+    } catch (e) {
+      console.warn('Station board failed:', e.message);
+      error = `Couldn't load departures: ${e.message}`;
+    }
+
+    // The user may have opened another station meanwhile
+    if (!this.boardStation || this.boardStation.code !== code) return;
+    if (!error) this.boardStation = station;
+    UI.renderStationBoard(this.boardStation, rows, { error });
+  },
+
+  /**
+   * Render the data source health panel from the provider registry
+   */
+  renderHealth() {
+    const locations = Storage.getLocations();
+    const enabled = this.providersForAll(locations.length > 0
+      ? locations.map(loc => Storage.getLocationSettings(loc))
+      : [Storage.getSettings()]);
+    UI.renderHealthPanel(Providers.list().map(p => ({
+      provider: p,
+      enabled: enabled[p.id],
+      health: Providers.health.get(p.id) || null
+    })));
+  },
+
+  /**
+   * Render saved recordings in the health panel
+   */
+  async renderRecordings() {
+    try {
+      const recordings = await Recorder.list();
+      UI.renderRecordings(recordings, {
+        onReplay: (id) => this.startReplay(id),
+        onDelete: async (id) => {
+          await Recorder.remove(id);
+          this.renderRecordings();
+        }
+      });
+    } catch (e) {
+      console.warn('Recordings unavailable:', e.message);
     }
+    this.updateRecorderState();
+  },
 
+  updateRecorderState() {
+    UI.updateRecorderState({
+      recording: Recorder.isRecording(),
+      replayText: Recorder.isReplaying()
+        ? `▶️ Replay ${Recorder.replay.speed}× · ${new Date(Recorder.now()).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`
+        : null
+    });
+  },
+
+  /**
+   * Start from a clean tracker session, e.g. when switching between live
+   * data and a replay, discarding any refresh still in flight
+   */
+  restartSession() {
+    this.stopRefresh();
     this.isRefreshing = false;
+    this.refreshGeneration++;
+    this.stationsCache = null;
+    this._celebratedFirstTrain = false;
+    Tracker.resetSession();
+    this.startRefresh();
+    this.refresh();
+  },
+
+  /**
+   * Replay a recording through the normal refresh cycle
+   */
+  async startReplay(id) {
+    const speed = parseInt(UI.elements.replaySpeed?.value) || 1;
+    try {
+      const recording = await Recorder.startReplay(id, speed);
+      UI.closeHealth();
+      UI.showToast(`Replaying ${recording.name} at ${speed}×`, 'success');
+      this.restartSession();
+    } catch (e) {
+      UI.showToast(`Replay failed: ${e.message}`, 'error');
+    }
+    this.updateRecorderState();
+  },
+
+  /**
+   * Return to live data and drop spottings logged during the replay
+   */
+  async stopReplay() {
+    Recorder.stopReplay();
+    Storage.removeReplaySpottings();
+    this.updateRecorderState();
+    this.restartSession();
+  },
+
+  /**
+   * The stored copy of a location (with its profile and geofences), or
+   * the location itself if it isn't saved
+   */
+  findSavedLocation(location) {
+    return Storage.getLocations().find(l => l.name === location.name) || location;
+  },
+
+  /**
+   * Provider toggles that fetch everything any of the given settings enable
+   * @param {Array<Object>} settingsList - Effective settings per location
+   */
+  providersForAll(settingsList) {
+    const enabled = {};
+    Providers.list().forEach(p => {
+      enabled[p.id] = settingsList.some(s => Providers.isEnabled(p.id, s.providers));
+    });
+    return enabled;
+  },
+
+  /**
+   * Ask Amtraker whether its data is stale. Returns the set of enabled
+   * provider ids that come from a stale source (empty if the check fails).
+   */
+  async checkStaleProviders(settings) {
+    const amtrakerProviders = Providers.list()
+      .filter(p => p.source === 'amtraker' && settings.providers[p.id] !== false)
+      .map(p => p.id);
+    if (amtrakerProviders.length === 0) return new Set();
+
+    try {
+      const { stale } = await AmtrakerClient.checkStale();
+      if (stale) console.warn('⚠️ Amtraker reports stale data');
+      return new Set(stale ? amtrakerProviders : []);
+    } catch (e) {
+      console.warn('Stale check failed:', e.message);
+      return new Set();
+    }
+  },
+
+  /**
+   * A train from the latest refresh: around the active location or watched
+   * @returns {Object|null}
+   */
+  findLiveTrain(trainID) {
+    return Tracker.currentTrains.find(t => t.trainID === trainID)
+      || this.watched.flatMap(w => w.trains).find(t => t.trainID === trainID)
+      || null;
+  },
+
+  /**
+   * Draw the trains around the location plus every watched train
+   */
+  updateMapTrains() {
+    const onMap = new Map([...this.mapTrains, ...this.watched.flatMap(w => w.trains)].map(t => [t.trainID, t]));
+    MapManager.updateTrains([...onMap.values()], Tracker.closestTrain ? Tracker.closestTrain.trainID : null);
+  },
+
+  /**
+   * Render the watchlist panel
+   */
+  renderWatchlist() {
+    UI.updateWatchlist(this.watched, (train) => {
+      MapManager.focusTrain(train);
+      document.getElementById('train-map')?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, (id) => {
+      Storage.removeFromWatchlist(id);
+      this.rematchWatchlist();
+    });
+  },
+
+  /**
+   * Re-find the watchlist in the last batch after it changes
+   */
+  rematchWatchlist() {
+    this.watched = Tracker.findWatched(Storage.getWatchlist());
+    this.updateMapTrains();
+    this.renderWatchlist();
+  },
+
+  /**
+   * Add what was typed in the watchlist box
+   */
+  addToWatchlist() {
+    const input = UI.elements.watchlistInput;
+    let entry;
+    try {
+      entry = Watchlist.create(input ? input.value : '');
+    } catch (e) {
+      UI.showToast(e.message, 'error');
+      return;
+    }
+
+    if (!Storage.addToWatchlist(entry)) {
+      UI.showToast(`Already watching ${Watchlist.describe(entry)}`, 'info');
+      return;
+    }
+    if (input) input.value = '';
+    this.rematchWatchlist();
+    UI.showToast(`Watching ${Watchlist.describe(entry)}`, 'success');
+  },
+
+  /**
+   * Render the service alerts banner; dismissing hides an alert for good
+   */
+  renderServiceAlerts() {
+    UI.updateAlertsBanner(this.serviceAlerts, (alert) => {
+      ServiceAlerts.dismiss(alert);
+      this.serviceAlerts = this.serviceAlerts.filter(a => a !== alert);
+      this.renderServiceAlerts();
+    });
   },
 
   /**
@@ -271,28 +693,80 @@ const App = {
   startRefresh() {
     this.stopRefresh();
 
-    const settings = Storage.getSettings();
-    const interval = settings.refreshInterval || 60;
+    // During quiet hours wait for them to end instead of counting down
+    const location = Storage.getActiveLocation();
+    const endsAt = location ? this.quietEndsAt(location) : null;
+    if (endsAt) {
+      this.showQuietHours(location);
+      UI.updateCountdown(0);
+      this.refreshTimer = setTimeout(() => {
+        this.refreshTimer = null;
+        this.refresh();
+        this.startRefresh();
+      }, endsAt.getTime() - Date.now() + 1000);
+      return;
+    }
+
+    const settings = Storage.getLocationSettings(location);
+    let interval = settings.refreshInterval || 60;
+    // Replays poll faster so the recording's refresh cadence is kept
+    if (Recorder.isReplaying()) interval = Math.max(1, Math.round(interval / Recorder.replay.speed));
     this.countdownValue = interval;
 
     // Countdown timer (every second)
     this.countdownTimer = setInterval(() => {
       this.countdownValue--;
-      UI.updateCountdown(this.countdownValue);
+      if (!document.hidden) {
+        UI.updateCountdown(this.countdownValue);
+        UI.updateStationCountdowns();
+        UI.updateApproachCountdowns();
+        this.updateLiveDistance();
+      }
+      if (Recorder.isReplaying()) this.updateRecorderState();
 
       if (this.countdownValue <= 0) {
         this.countdownValue = interval;
-        this.refresh();
+        // Quiet hours may have started since the last poll
+        if (location && this.quietEndsAt(location)) this.startRefresh();
+        else this.refresh();
       }
     }, 1000);
   },
 
+  /**
+   * When quiet hours end at a location (its own night pause settings)
+   * @returns {Date|null} null when it isn't quiet hours there
+   */
+  quietEndsAt(location) {
+    return QuietHours.endsAt(Storage.getLocationSettings(this.findSavedLocation(location)));
+  },
+
+  /**
+   * Show "paused until" in the status bar
+   */
+  showQuietHours(location) {
+    const settings = Storage.getLocationSettings(this.findSavedLocation(location));
+    UI.setStatus('paused', `🌙 Quiet hours · paused until ${settings.nightEnd}`);
+  },
+
+  /**
+   * Keep the hero card's distance in step with the closest train's
+   * dead-reckoned position on the map between polls
+   */
+  updateLiveDistance() {
+    const train = Tracker.closestTrain;
+    const location = Storage.getActiveLocation();
+    const pos = train && location ? MapManager.getDisplayedPosition(train.trainID) : null;
+    if (!pos) return;
+    UI.updateHeroDistance(AmtrakerClient.haversineDistance(location.lat, location.lon, pos.lat, pos.lon));
+  },
+
   /**
    * Stop auto-refresh
    */
   stopRefresh() {
     if (this.refreshTimer) {
-      clearInterval(this.refreshTimer);
+      clearTimeout(this.refreshTimer);
       this.refreshTimer = null;
     }
     if (this.countdownTimer) {
@@ -301,6 +775,95 @@ const App = {
     }
   },
 
+  /**
+   * Render the alert rules list in the settings modal
+   */
+  renderAlertRules() {
+    UI.renderAlertRules(Storage.getAlertRules(), {
+      onToggle: (id, enabled) => {
+        const rule = Storage.getAlertRules().find(r => r.id === id);
+        if (!rule) return;
+        Storage.saveAlertRule({ ...rule, enabled });
+        AlertRules.reset(id);
+        this.renderAlertRules();
+      },
+      onEdit: (rule) => {
+        this.editingRule = rule;
+        UI.openRuleEditor(rule);
+      },
+      onRemove: (id) => {
+        Storage.removeAlertRule(id);
+        AlertRules.reset(id);
+        if (this.editingRule && this.editingRule.id === id) UI.closeRuleEditor();
+        this.renderAlertRules();
+      }
+    });
+  },
+
+  /**
+   * Validate and store the rule in the editor
+   */
+  saveAlertRule() {
+    const fields = UI.readRuleEditor();
+    const rule = this.editingRule ? { ...this.editingRule, ...fields } : AlertRules.create(fields);
+    try {
+      AlertRules.validate(rule);
+    } catch (e) {
+      UI.showToast(e.message, 'error');
+      return;
+    }
+
+    Storage.saveAlertRule(rule);
+    AlertRules.reset(rule.id);
+    this.editingRule = null;
+    UI.closeRuleEditor();
+    this.renderAlertRules();
+    UI.showToast(`Rule "${rule.name}" saved`, 'success');
+  },
+
+  /**
+   * Render custom GTFS-RT feeds in the settings modal and keep the
+   * provider toggles in sync (without losing unsaved checkbox changes)
+   */
+  renderCustomFeeds() {
+    const settings = Storage.getSettings();
+    const enabled = UI.readProviderToggles(settings.providers);
+
+    UI.renderCustomFeeds(settings.customFeeds, (id) => {
+      Storage.removeCustomFeed(id);
+      MTAClient.registerCustomFeeds(Storage.getSettings().customFeeds);
+      this.renderCustomFeeds();
+    });
+    UI.renderProviderToggles(enabled);
+    this.renderGtfsStatic();
+    this.renderRouteLines();
+  },
+
+  /**
+   * Render imported route line files in the settings modal
+   */
+  renderRouteLines() {
+    const collections = [...RouteGeometry.collections.values()].map(c => RouteGeometry.summarize(c));
+    UI.renderRouteLines(collections, async (id) => {
+      await RouteGeometry.remove(id);
+      this.renderRouteLines();
+      this.refresh();
+    });
+  },
+
+  /**
+   * Render imported static GTFS datasets in the settings modal
+   */
+  renderGtfsStatic() {
+    const datasets = [...GtfsStatic.datasets.values()].map(ds => GtfsStatic.summarize(ds));
+    UI.renderGtfsDatasets(datasets, async (providerId) => {
+      await GtfsStatic.remove(providerId);
+      RouteGeometry.clearShapes();
+      this.renderGtfsStatic();
+      this.refresh();
+    });
+  },
+
   /**
    * Render location tabs bar
    */
@@ -317,7 +880,7 @@ const App = {
         Location.setActive(name);
         UI.hideQuickAdd();
         this.stationsCache = null;
-        this.start({ name, lat: loc.lat, lon: loc.lon, radius: loc.radius });
+        this.start(loc);
       },
       // onAdd — show the quick-add bar
       () => {
@@ -360,12 +923,11 @@ const App = {
       const coords = Location.parseCoordinates(query);
       if (coords) {
         const name = await Location.reverseGeocode(coords.lat, coords.lon);
-        const settings = Storage.getSettings();
-        Location.save(name, coords.lat, coords.lon, settings.radius);
+        Location.save(name, coords.lat, coords.lon);
         Location.setActive(name);
         UI.hideQuickAdd();
         this.stationsCache = null;
-        this.start({ name, lat: coords.lat, lon: coords.lon, radius: settings.radius });
+        this.start({ name, lat: coords.lat, lon: coords.lon });
         return;
       }
 
@@ -376,12 +938,11 @@ const App = {
 
       if (resultsContainer) {
         UI.showSearchResults(results, resultsContainer, async (result) => {
-          const settings = Storage.getSettings();
-          Location.save(result.name, result.lat, result.lon, settings.radius);
+          Location.save(result.name, result.lat, result.lon);
           Location.setActive(result.name);
           UI.hideQuickAdd();
           this.stationsCache = null;
-          this.start({ name: result.name, lat: result.lat, lon: result.lon, radius: settings.radius });
+          this.start({ name: result.name, lat: result.lat, lon: result.lon });
         });
       }
     };
@@ -399,12 +960,11 @@ const App = {
       try {
         const pos = await Location.getCurrentPosition();
         const name = await Location.reverseGeocode(pos.lat, pos.lon);
-        const settings = Storage.getSettings();
-        Location.save(name, pos.lat, pos.lon, settings.radius);
+        Location.save(name, pos.lat, pos.lon);
         Location.setActive(name);
         UI.hideQuickAdd();
         this.stationsCache = null;
-        this.start({ name, lat: pos.lat, lon: pos.lon, radius: settings.radius });
+        this.start({ name, lat: pos.lat, lon: pos.lon });
       } catch (err) {
         gpsBtn.textContent = '📍';
         UI.showToast(err.message, 'error');
@@ -429,12 +989,11 @@ const App = {
         btn.textContent = '📍 Found! Getting name...';
 
         const name = await Location.reverseGeocode(pos.lat, pos.lon);
-        const settings = Storage.getSettings();
-        Location.save(name, pos.lat, pos.lon, settings.radius);
+        Location.save(name, pos.lat, pos.lon);
         Location.setActive(name);
         this.seedDefaultHubs();
 
-        this.start({ name, lat: pos.lat, lon: pos.lon, radius: settings.radius });
+        this.start({ name, lat: pos.lat, lon: pos.lon });
 
       } catch (error) {
         btn.textContent = '📍 Use My Current Location';
@@ -456,11 +1015,10 @@ const App = {
       const resultsContainer = document.getElementById('setup-search-results');
 
       UI.showSearchResults(results, resultsContainer, async (result) => {
-        const settings = Storage.getSettings();
-        Location.save(result.name, result.lat, result.lon, settings.radius);
+        Location.save(result.name, result.lat, result.lon);
         Location.setActive(result.name);
         this.seedDefaultHubs();
-        this.start({ name: result.name, lat: result.lat, lon: result.lon, radius: settings.radius });
+        this.start({ name: result.name, lat: result.lat, lon: result.lon });
       });
     });
 
@@ -534,18 +1092,21 @@ const App = {
         const lat = parseFloat(card.dataset.lat);
         const lon = parseFloat(card.dataset.lon);
         const name = card.dataset.name;
-        const settings = Storage.getSettings();
-        Location.save(name, lat, lon, settings.radius);
+        Location.save(name, lat, lon);
         Location.setActive(name);
         UI.closeChangeLocation();
         this.stationsCache = null;
-        this.start({ name, lat, lon, radius: settings.radius });
+        this.start({ name, lat, lon });
       });
     });
 
     UI.elements.menuSettings?.addEventListener('click', () => {
       UI.elements.settingsDropdown?.classList.add('hidden');
       UI.openSettings();
+      this.renderCustomFeeds();
+      this.editingRule = null;
+      UI.closeRuleEditor();
+      this.renderAlertRules();
     });
 
     UI.elements.menuExport?.addEventListener('click', () => {
@@ -592,8 +1153,55 @@ const App = {
       UI.elements.btnToggleStations.style.opacity = isVisible ? '1' : '0.5';
     });
 
+    // Geofence editor: open it and click the map to draw
+    UI.elements.btnDrawGeofence?.addEventListener('click', () => {
+      if (UI.isGeofenceBarOpen()) {
+        this.closeGeofenceEditor();
+      } else {
+        this.openGeofenceEditor();
+      }
+    });
+
+    UI.elements.geofenceType?.addEventListener('change', () => {
+      MapManager.setDrawingType(UI.elements.geofenceType.value);
+      UI.updateGeofenceHint(UI.elements.geofenceType.value, MapManager.drawing ? MapManager.drawing.points.length : 0);
+    });
+
+    UI.elements.btnGeofenceUndo?.addEventListener('click', () => MapManager.undoDrawingPoint());
+
+    UI.elements.btnGeofenceSave?.addEventListener('click', () => this.saveGeofence());
+
+    // Watchlist: pin a train number or route
+    UI.elements.btnWatchAdd?.addEventListener('click', () => this.addToWatchlist());
+    UI.elements.watchlistInput?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.addToWatchlist();
+    });
+
     // ===== SETTINGS MODAL =====
 
+    UI.elements.settingsTabs?.querySelectorAll('.settings-tab-btn').forEach(btn => {
+      btn.addEventListener('click', () => UI.switchSettingsTab(btn.dataset.tab));
+    });
+
+    // Notification permission has to be asked for from a click
+    UI.elements.btnNotifyPermission?.addEventListener('click', async () => {
+      const permission = await Notifier.requestPermission();
+      UI.updateNotifyPermission(permission);
+      if (permission === 'granted' && UI.elements.settingNotifyEnabled) UI.elements.settingNotifyEnabled.checked = true;
+    });
+
+    // Alert rules editor
+    UI.elements.btnNewRule?.addEventListener('click', () => {
+      this.editingRule = null;
+      UI.openRuleEditor(null);
+    });
+    UI.elements.btnAddCondition?.addEventListener('click', () => UI.addRuleCondition());
+    UI.elements.btnCancelRule?.addEventListener('click', () => {
+      this.editingRule = null;
+      UI.closeRuleEditor();
+    });
+    UI.elements.btnSaveRule?.addEventListener('click', () => this.saveAlertRule());
+
     UI.elements.btnCloseSettingsX?.addEventListener('click', () => UI.closeSettings());
     UI.elements.btnCloseSettings?.addEventListener('click', () => UI.closeSettings());
 
@@ -603,19 +1211,21 @@ const App = {
 
       if (UI.elements.settingRefresh) settings.refreshInterval = parseInt(UI.elements.settingRefresh.value) || 60;
       if (UI.elements.settingRadius) settings.radius = parseInt(UI.elements.settingRadius.value) || 10;
-      if (UI.elements.settingAmtrak) settings.providers.amtrak = UI.elements.settingAmtrak.checked;
-      if (UI.elements.settingVia) settings.providers.via = UI.elements.settingVia.checked;
-      if (UI.elements.settingBrightline) settings.providers.brightline = UI.elements.settingBrightline.checked;
-      if (UI.elements.settingLirr) settings.providers.lirr = UI.elements.settingLirr.checked;
-      if (UI.elements.settingMetroNorth) settings.providers.metroNorth = UI.elements.settingMetroNorth.checked;
+      settings.providers = UI.readProviderToggles(settings.providers);
+      settings.notifications = UI.readNotificationSettings(settings.notifications);
       if (UI.elements.settingNightPause) settings.nightPause = UI.elements.settingNightPause.checked;
+      if (UI.elements.settingNightStart?.value) settings.nightStart = UI.elements.settingNightStart.value;
+      if (UI.elements.settingNightEnd?.value) settings.nightEnd = UI.elements.settingNightEnd.value;
 
       Storage.saveSettings(settings);
+      if (settings.notifications.enabled && Notifier.getPermission() === 'default') Notifier.requestPermission();
+      UI.readLocationProfiles().forEach((profile, name) => Storage.saveLocationProfile(name, profile));
 
-      // Apply changes
-      MapManager.updateRadius(settings.radius);
-      if (UI.elements.detectionRadius) UI.elements.detectionRadius.textContent = settings.radius;
-      if (UI.elements.refreshIntervalDisplay) UI.elements.refreshIntervalDisplay.textContent = settings.refreshInterval;
+      // Apply changes as they stand at the active location
+      const active = Storage.getLocationSettings(Storage.getActiveLocation());
+      MapManager.updateRadius(active.radius);
+      if (UI.elements.detectionRadius) UI.elements.detectionRadius.textContent = active.radius;
+      if (UI.elements.refreshIntervalDisplay) UI.elements.refreshIntervalDisplay.textContent = active.refreshInterval;
 
       this.stationsCache = null;
       this.startRefresh();
@@ -625,6 +1235,85 @@ const App = {
       UI.showToast('Settings saved!', 'success');
     });
 
+    // Add a custom GTFS-RT feed
+    UI.elements.btnAddFeed?.addEventListener('click', () => {
+      const name = UI.elements.customFeedName?.value.trim();
+      const url = UI.elements.customFeedUrl?.value.trim();
+      const color = UI.elements.customFeedColor?.value || '#7c3aed';
+
+      if (!name || !/^https?:\/\//i.test(url || '')) {
+        UI.showToast('Enter a feed name and an http(s) URL', 'error');
+        return;
+      }
+
+      Storage.addCustomFeed(name, url, color);
+      MTAClient.registerCustomFeeds(Storage.getSettings().customFeeds);
+      UI.elements.customFeedName.value = '';
+      UI.elements.customFeedUrl.value = '';
+      this.renderCustomFeeds();
+      UI.showToast(`${name} feed added`, 'success');
+    });
+
+    // Import a static GTFS zip for a GTFS-RT provider
+    UI.elements.btnImportGtfs?.addEventListener('click', () => {
+      if (!UI.elements.gtfsStaticProvider?.value) {
+        UI.showToast('Choose a feed to import for', 'error');
+        return;
+      }
+      UI.elements.gtfsStaticFile?.click();
+    });
+
+    UI.elements.gtfsStaticFile?.addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (!file) return;
+
+      const providerId = UI.elements.gtfsStaticProvider.value;
+      const status = UI.elements.gtfsStaticStatus;
+      const prevStatus = status ? status.textContent : '';
+      if (status) status.textContent = `Reading ${file.name}…`;
+
+      try {
+        const summary = await GtfsStatic.importZip(file, providerId);
+        RouteGeometry.clearShapes();
+        this.renderGtfsStatic();
+        this.refresh();
+        UI.showToast(`Imported ${summary.routes} routes and ${summary.stops} stops`, 'success');
+      } catch (err) {
+        console.error('Static GTFS import failed:', err);
+        UI.showToast(`GTFS import failed: ${err.message}`, 'error');
+      } finally {
+        if (status) status.textContent = prevStatus;
+      }
+    });
+
+    // Import route lines for along-the-track distances
+    UI.elements.btnImportRoutes?.addEventListener('click', () => {
+      UI.elements.routeLinesFile?.click();
+    });
+
+    UI.elements.routeLinesFile?.addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (!file) return;
+
+      const status = UI.elements.routeLinesStatus;
+      const prevStatus = status ? status.textContent : '';
+      if (status) status.textContent = `Reading ${file.name}…`;
+
+      try {
+        const summary = await RouteGeometry.importGeoJSON(file);
+        this.renderRouteLines();
+        this.refresh();
+        UI.showToast(`Imported ${summary.lines} lines for ${summary.routes} routes`, 'success');
+      } catch (err) {
+        console.error('Route line import failed:', err);
+        UI.showToast(`Route import failed: ${err.message}`, 'error');
+      } finally {
+        if (status) status.textContent = prevStatus;
+      }
+    });
+
     // Export/import/clear in settings modal
     UI.elements.btnExport?.addEventListener('click', () => {
       const data = Storage.exportData();
@@ -664,12 +1353,11 @@ const App = {
       try {
         const pos = await Location.getCurrentPosition();
         const name = await Location.reverseGeocode(pos.lat, pos.lon);
-        const settings = Storage.getSettings();
-        Location.save(name, pos.lat, pos.lon, settings.radius);
+        Location.save(name, pos.lat, pos.lon);
         Location.setActive(name);
         UI.closeChangeLocation();
         this.stationsCache = null;
-        this.start({ name, lat: pos.lat, lon: pos.lon, radius: settings.radius });
+        this.start({ name, lat: pos.lat, lon: pos.lon });
       } catch (error) {
         btn.textContent = '📍 Use Current Location';
         btn.disabled = false;
@@ -687,12 +1375,11 @@ const App = {
       const resultsContainer = document.getElementById('modal-search-results');
 
       UI.showSearchResults(results, resultsContainer, async (result) => {
-        const settings = Storage.getSettings();
-        Location.save(result.name, result.lat, result.lon, settings.radius);
+        Location.save(result.name, result.lat, result.lon);
         Location.setActive(result.name);
         UI.closeChangeLocation();
         this.stationsCache = null;
-        this.start({ name: result.name, lat: result.lat, lon: result.lon, radius: settings.radius });
+        this.start({ name: result.name, lat: result.lat, lon: result.lon });
       });
     });
 
@@ -700,8 +1387,60 @@ const App = {
       if (e.key === 'Enter') UI.elements.btnModalSearch?.click();
     });
 
+    // ===== DATA SOURCE HEALTH =====
+
+    UI.elements.btnHealth?.addEventListener('click', () => {
+      this.renderHealth();
+      this.renderRecordings();
+      UI.openHealth();
+    });
+
+    UI.elements.btnRecord?.addEventListener('click', async () => {
+      try {
+        if (Recorder.isRecording()) {
+          const recording = await Recorder.stop();
+          UI.showToast(`Saved recording with ${recording.count} responses`, 'success');
+        } else {
+          await Recorder.start();
+          this.stationsCache = null; // so the recording includes stations
+          UI.showToast('Recording API responses', 'success');
+        }
+      } catch (e) {
+        UI.showToast(`Recorder error: ${e.message}`, 'error');
+      }
+      this.renderRecordings();
+    });
+
+    UI.elements.btnStopReplay?.addEventListener('click', () => this.stopReplay());
+    UI.elements.statusText?.addEventListener('click', () => UI.elements.btnHealth?.click());
+    UI.elements.btnCloseHealthX?.addEventListener('click', () => UI.closeHealth());
+    UI.elements.btnCloseHealth?.addEventListener('click', () => UI.closeHealth());
+
+    // ===== TRAIN DETAIL =====
+
+    // Hero card, map popups and history items carry data-train-detail
+    document.addEventListener('click', (e) => {
+      const el = e.target.closest('[data-train-detail]');
+      if (!el || e.target.closest('a')) return;
+      this.openTrainDetail(el.dataset.trainDetail);
+    });
+
+    UI.elements.btnCloseTrainX?.addEventListener('click', () => UI.closeTrainDetail());
+    UI.elements.btnCloseTrain?.addEventListener('click', () => UI.closeTrainDetail());
+
+    // ===== STATION BOARD =====
+
+    // Station list items and map station popups carry data-station-board
+    document.addEventListener('click', (e) => {
+      const el = e.target.closest('[data-station-board]');
+      if (el) this.openStationBoard(el.dataset.stationBoard);
+    });
+
+    UI.elements.btnCloseStationX?.addEventListener('click', () => UI.closeStationBoard());
+    UI.elements.btnCloseStation?.addEventListener('click', () => UI.closeStationBoard());
+
     // ===== MODAL BACKDROP CLOSE =====
-    [UI.elements.settingsModal, UI.elements.changeLocationModal].forEach(modal => {
+    [UI.elements.settingsModal, UI.elements.changeLocationModal, UI.elements.healthModal, UI.elements.trainModal, UI.elements.stationModal].forEach(modal => {
       modal?.addEventListener('click', (e) => {
         if (e.target === modal) {
           modal.classList.add('hidden');
@@ -714,6 +1453,9 @@ const App = {
       if (e.key === 'Escape') {
         UI.closeSettings();
         UI.closeChangeLocation();
+        UI.closeHealth();
+        UI.closeTrainDetail();
+        UI.closeStationBoard();
         UI.elements.settingsDropdown?.classList.add('hidden');
       }
       // 'r' to refresh (when not in an input)
@@ -723,9 +1465,10 @@ const App = {
     });
 
     // ===== VISIBILITY CHANGE =====
+    // Background tabs only keep polling when there are notifications to send
     document.addEventListener('visibilitychange', () => {
       if (document.hidden) {
-        this.stopRefresh();
+        if (!Notifier.isEnabled()) this.stopRefresh();
       } else {
         this.refresh();
         this.startRefresh();
@@ -741,10 +1484,9 @@ const App = {
         const lat = parseFloat(card.dataset.lat);
         const lon = parseFloat(card.dataset.lon);
         const name = card.dataset.name;
-        const settings = Storage.getSettings();
-        Location.save(name, lat, lon, settings.radius);
+        Location.save(name, lat, lon);
         Location.setActive(name);
-        this.start({ name, lat, lon, radius: settings.radius });
+        this.start({ name, lat, lon });
       });
     });
 
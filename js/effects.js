@@ -11,6 +11,7 @@ const Effects = {
   confetti: [],
   animating: false,
   dpr: 1,
+  audio: null, // AudioContext, created on the first chime
 
   /**
    * Initialize the effects engine
@@ -367,6 +368,31 @@ const Effects = {
     }
   },
 
+  /**
+   * Two-note chime for alert rules (Web Audio, no sound files)
+   */
+  playChime() {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (!AudioCtx) return;
+    if (!this.audio) this.audio = new AudioCtx();
+    const ctx = this.audio;
+    if (ctx.state === 'suspended') ctx.resume();
+
+    [880, 1320].forEach((freq, i) => {
+      const start = ctx.currentTime + i * 0.18;
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      osc.type = 'sine';
+      osc.frequency.value = freq;
+      gain.gain.setValueAtTime(0.0001, start);
+      gain.gain.exponentialRampToValueAtTime(0.25, start + 0.02);
+      gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.5);
+      osc.connect(gain).connect(ctx.destination);
+      osc.start(start);
+      osc.stop(start + 0.5);
+    });
+  },
+
   // =============================================
   // REFRESH BUTTON SPIN
   // =============================================
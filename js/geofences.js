@@ -0,0 +1,137 @@
+/**
+ * Geofences — polygon and corridor zones for nearby detection
+ * A location with geofences detects trains inside any of them instead of
+ * inside the circular radius. A polygon is an area (a yard, a bend in the
+ * river); a corridor is a line with a width (a stretch of track, a bridge).
+ * Fences are stored on the location: { id, type, name, points: [[lat, lon]...], width }
+ */
+
+const Geofences = {
+  TYPES: {
+    polygon: { label: 'Area', emoji: '⬠', minPoints: 3 },
+    corridor: { label: 'Corridor', emoji: '〰️', minPoints: 2 }
+  },
+  DEFAULT_CORRIDOR_WIDTH: 0.25, // miles either side of the line
+
+  /**
+   * Build a fence from drawn points
+   * @param {string} type - 'polygon' or 'corridor'
+   * @param {Array} points - [[lat, lon]...]
+   * @param {Object} [options] - { name, width } (width in miles, corridors only)
+   */
+  create(type, points, { name, width } = {}) {
+    const spec = this.TYPES[type];
+    if (!spec) throw new Error(`Unknown geofence type: ${type}`);
+    if (points.length < spec.minPoints) throw new Error(`${spec.label} needs at least ${spec.minPoints} points`);
+
+    const fence = {
+      id: `fence-${Date.now().toString(36)}`,
+      type,
+      name: name || `${spec.label} ${new Date().toLocaleDateString()}`,
+      points: points.map(([lat, lon]) => [Math.round(lat * 1e5) / 1e5, Math.round(lon * 1e5) / 1e5])
+    };
+    if (type === 'corridor') fence.width = width > 0 ? width : this.DEFAULT_CORRIDOR_WIDTH;
+    return fence;
+  },
+
+  /**
+   * Short description for lists, e.g. "Corridor · ±0.25 mi"
+   */
+  describe(fence) {
+    const spec = this.TYPES[fence.type];
+    return fence.type === 'corridor'
+      ? `${spec.label} · ±${fence.width} mi`
+      : `${spec.label} · ${fence.points.length} points`;
+  },
+
+  /**
+   * First fence containing (lat, lon), or null
+   */
+  find(fences, lat, lon) {
+    return fences.find(f => this.contains(f, lat, lon)) || null;
+  },
+
+  /**
+   * Whether (lat, lon) is inside a fence
+   */
+  contains(fence, lat, lon) {
+    const points = this.toLocal(fence, lat, lon);
+    if (fence.type === 'corridor') {
+      return this.distanceToLine(points, { x: 0, y: 0 }) <= fence.width;
+    }
+
+    // Ray casting from the point (the local origin) toward +x
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const a = points[i];
+      const b = points[j];
+      if ((a.y > 0) !== (b.y > 0) && a.x + (0 - a.y) * (b.x - a.x) / (b.y - a.y) > 0) inside = !inside;
+    }
+    return inside;
+  },
+
+  /**
+   * Whether moving in a straight line between two positions passed
+   * through a fence, even if neither position is inside it
+   * @param {{lat, lon}} from
+   * @param {{lat, lon}} to
+   */
+  crosses(fence, from, to) {
+    if (this.contains(fence, from.lat, from.lon) || this.contains(fence, to.lat, to.lon)) return true;
+
+    const points = this.toLocal(fence, from.lat, from.lon);
+    const a = { x: 0, y: 0 };
+    const b = Location.toLocalMiles(to.lat, to.lon, from.lat, from.lon);
+    const edges = fence.type === 'polygon' ? [...points, points[0]] : points;
+
+    for (let i = 0; i < edges.length - 1; i++) {
+      const distance = this.segmentDistance(a, b, edges[i], edges[i + 1]);
+      if (distance === 0 || (fence.type === 'corridor' && distance <= fence.width)) return true;
+    }
+    return false;
+  },
+
+  /**
+   * Fence points in miles relative to (lat, lon)
+   */
+  toLocal(fence, lat, lon) {
+    return fence.points.map(([pLat, pLon]) => Location.toLocalMiles(pLat, pLon, lat, lon));
+  },
+
+  distanceToLine(points, p) {
+    let best = Infinity;
+    for (let i = 0; i < points.length - 1; i++) {
+      best = Math.min(best, this.pointSegmentDistance(p, points[i], points[i + 1]));
+    }
+    return best;
+  },
+
+  pointSegmentDistance(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0 ? Math.min(1, Math.max(0, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq)) : 0;
+    return Math.hypot(a.x + dx * t - p.x, a.y + dy * t - p.y);
+  },
+
+  /**
+   * Shortest distance between segments a1–a2 and b1–b2 (0 if they cross)
+   */
+  segmentDistance(a1, a2, b1, b2) {
+    const cross = (o, p, q) => (p.x - o.x) * (q.y - o.y) - (p.y - o.y) * (q.x - o.x);
+    const d1 = cross(b1, b2, a1);
+    const d2 = cross(b1, b2, a2);
+    const d3 = cross(a1, a2, b1);
+    const d4 = cross(a1, a2, b2);
+    if (((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0))) return 0;
+
+    return Math.min(
+      this.pointSegmentDistance(a1, b1, b2),
+      this.pointSegmentDistance(a2, b1, b2),
+      this.pointSegmentDistance(b1, a1, a2),
+      this.pointSegmentDistance(b2, a1, a2)
+    );
+  }
+};
+
+window.Geofences = Geofences;
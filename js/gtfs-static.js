@@ -0,0 +1,293 @@
+/**
+ * Static GTFS — resolves GTFS-RT stop, route and trip IDs into real names
+ * Imports a GTFS zip (stops.txt, routes.txt, trips.txt, shapes.txt and,
+ * if present, stop_times.txt) from a local file, caches the parts we need
+ * in IndexedDB, and fills in branch names, headsigns, stop names and
+ * origin/destination on commuter trains.
+ *
+ * The zip and CSV readers are hand-rolled so there is still no build step;
+ * deflate uses the browser's built-in DecompressionStream.
+ */
+
+const GtfsStatic = {
+  STORE: 'gtfs',
+
+  // providerId -> { providerId, fileName, importedAt, stops, routes, trips, shapes }
+  datasets: new Map(),
+
+  /**
+   * Load every cached dataset from IndexedDB
+   */
+  async init() {
+    try {
+      const all = await Storage.idbGetAll(this.STORE);
+      all.forEach(ds => this.datasets.set(ds.providerId, ds));
+      if (all.length > 0) console.log(`🗂️ Loaded static GTFS for ${all.map(d => d.providerId).join(', ')}`);
+    } catch (e) {
+      console.warn('Static GTFS cache unavailable:', e.message);
+    }
+  },
+
+  /**
+   * Import a static GTFS zip for one provider
+   * @param {File|Blob} file - The GTFS zip
+   * @param {string} providerId - GTFS-RT provider it belongs to
+   * @returns {Promise<Object>} Summary { stops, routes, trips, shapes }
+   */
+  async importZip(file, providerId) {
+    const files = await this.unzip(await file.arrayBuffer(),
+      ['stops.txt', 'routes.txt', 'trips.txt', 'shapes.txt', 'stop_times.txt']);
+
+    if (!files['stops.txt'] || !files['trips.txt']) {
+      throw new Error('Not a GTFS zip (missing stops.txt or trips.txt)');
+    }
+
+    const dataset = {
+      providerId,
+      fileName: file.name || 'gtfs.zip',
+      importedAt: Date.now(),
+      stops: {},
+      routes: {},
+      trips: {},
+      shapes: {}
+    };
+
+    this.forEachRow(files['stops.txt'], row => {
+      dataset.stops[row.stop_id] = {
+        name: row.stop_name || row.stop_id,
+        lat: parseFloat(row.stop_lat) || null,
+        lon: parseFloat(row.stop_lon) || null
+      };
+    });
+
+    if (files['routes.txt']) {
+      this.forEachRow(files['routes.txt'], row => {
+        dataset.routes[row.route_id] = {
+          name: row.route_long_name || row.route_short_name || row.route_id,
+          shortName: row.route_short_name || '',
+          color: row.route_color ? `#${row.route_color}` : ''
+        };
+      });
+    }
+
+    this.forEachRow(files['trips.txt'], row => {
+      dataset.trips[row.trip_id] = {
+        routeId: row.route_id,
+        headsign: row.trip_headsign || '',
+        shapeId: row.shape_id || '',
+        directionId: row.direction_id || '',
+        firstStopId: '',
+        lastStopId: ''
+      };
+    });
+
+    // Origin/destination per trip from the lowest/highest stop_sequence
+    if (files['stop_times.txt']) {
+      const seqs = {};
+      this.forEachRow(files['stop_times.txt'], row => {
+        const trip = dataset.trips[row.trip_id];
+        if (!trip) return;
+        const seq = parseInt(row.stop_sequence);
+        const range = seqs[row.trip_id] || (seqs[row.trip_id] = { min: Infinity, max: -Infinity });
+        if (seq < range.min) { range.min = seq; trip.firstStopId = row.stop_id; }
+        if (seq > range.max) { range.max = seq; trip.lastStopId = row.stop_id; }
+      });
+    }
+
+    if (files['shapes.txt']) {
+      const points = {};
+      this.forEachRow(files['shapes.txt'], row => {
+        (points[row.shape_id] || (points[row.shape_id] = [])).push([
+          parseInt(row.shape_pt_sequence),
+          Math.round(parseFloat(row.shape_pt_lat) * 1e5) / 1e5,
+          Math.round(parseFloat(row.shape_pt_lon) * 1e5) / 1e5
+        ]);
+      });
+      Object.keys(points).forEach(id => {
+        dataset.shapes[id] = points[id].sort((a, b) => a[0] - b[0]).map(p => [p[1], p[2]]);
+      });
+    }
+
+    await Storage.idbPut(this.STORE, providerId, dataset);
+    this.datasets.set(providerId, dataset);
+
+    return this.summarize(dataset);
+  },
+
+  /**
+   * Forget a provider's static GTFS
+   */
+  async remove(providerId) {
+    this.datasets.delete(providerId);
+    await Storage.idbDelete(this.STORE, providerId);
+  },
+
+  /**
+   * Counts for the settings list
+   */
+  summarize(dataset) {
+    return {
+      providerId: dataset.providerId,
+      fileName: dataset.fileName,
+      importedAt: dataset.importedAt,
+      stops: Object.keys(dataset.stops).length,
+      routes: Object.keys(dataset.routes).length,
+      trips: Object.keys(dataset.trips).length,
+      shapes: Object.keys(dataset.shapes).length
+    };
+  },
+
+  /**
+   * Stop name for an id, or the id itself when unknown
+   */
+  getStopName(providerId, stopId) {
+    const ds = this.datasets.get(providerId);
+    const stop = ds && stopId ? ds.stops[stopId] : null;
+    return stop ? stop.name : stopId;
+  },
+
+  /**
+   * Fill in real names on a normalized GTFS-RT train (mutates and returns it)
+   * @param {string} providerId
+   * @param {Object} train - From MTAClient.normalizeVehicle
+   */
+  resolve(providerId, train) {
+    const ds = this.datasets.get(providerId);
+    if (!ds) return train;
+
+    const trip = ds.trips[train.tripId] || null;
+    const route = ds.routes[(trip && trip.routeId) || train.routeId] || null;
+
+    if (route) train.routeName = route.name;
+    if (trip) {
+      if (trip.firstStopId) train.origName = this.getStopName(providerId, trip.firstStopId);
+      train.destName = trip.headsign || this.getStopName(providerId, trip.lastStopId) || train.destName;
+      train.shapeId = trip.shapeId;
+    } else if (train.destName) {
+      // Without a trip match, destName holds the raw current stop id
+      train.destName = this.getStopName(providerId, train.destName);
+    }
+
+    train.stations = train.stations.map(s => {
+      const stop = ds.stops[s.code];
+      return stop ? { ...s, name: stop.name, lat: stop.lat, lon: stop.lon } : s;
+    });
+
+    return train;
+  },
+
+  // ──────────────────────────────────────────────
+  // Minimal zip reader (central directory + stored/deflate entries)
+  // ──────────────────────────────────────────────
+
+  /**
+   * Extract the named files (matched by basename) from a zip as text
+   * @param {ArrayBuffer} buffer
+   * @param {Array<string>} wanted - e.g. ['stops.txt', 'trips.txt']
+   * @returns {Promise<Object>} { 'stops.txt': '...', ... }
+   */
+  async unzip(buffer, wanted) {
+    const dv = new DataView(buffer);
+
+    // End of central directory record: scan back over the optional comment
+    let eocd = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+      if (dv.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd < 0) throw new Error('Not a zip file');
+
+    const entryCount = dv.getUint16(eocd + 10, true);
+    let pos = dv.getUint32(eocd + 16, true);
+    if (pos === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+
+    const decoder = new TextDecoder();
+    const result = {};
+
+    for (let n = 0; n < entryCount; n++) {
+      if (dv.getUint32(pos, true) !== 0x02014b50) throw new Error('Corrupt zip central directory');
+
+      const method = dv.getUint16(pos + 10, true);
+      const compressedSize = dv.getUint32(pos + 20, true);
+      const nameLen = dv.getUint16(pos + 28, true);
+      const extraLen = dv.getUint16(pos + 30, true);
+      const commentLen = dv.getUint16(pos + 32, true);
+      const localOffset = dv.getUint32(pos + 42, true);
+      const name = decoder.decode(new Uint8Array(buffer, pos + 46, nameLen));
+      pos += 46 + nameLen + extraLen + commentLen;
+
+      const baseName = name.split('/').pop();
+      if (!wanted.includes(baseName) || result[baseName]) continue;
+
+      // Local header has its own name/extra lengths before the data
+      const localNameLen = dv.getUint16(localOffset + 26, true);
+      const localExtraLen = dv.getUint16(localOffset + 28, true);
+      const dataStart = localOffset + 30 + localNameLen + localExtraLen;
+      const bytes = new Uint8Array(buffer, dataStart, compressedSize);
+
+      if (method === 0) {
+        result[baseName] = decoder.decode(bytes);
+      } else if (method === 8) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        result[baseName] = decoder.decode(await new Response(stream).arrayBuffer());
+      } else {
+        throw new Error(`Unsupported zip compression method ${method} for ${baseName}`);
+      }
+    }
+
+    return result;
+  },
+
+  // ──────────────────────────────────────────────
+  // CSV (RFC 4180: quoted fields, escaped quotes, CRLF)
+  // ──────────────────────────────────────────────
+
+  /**
+   * Call fn(row) for each data row, with row keyed by header name.
+   * Walks the text once without building an array of all rows,
+   * since stop_times.txt can run to millions of lines.
+   */
+  forEachRow(text, fn) {
+    let header = null;
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; // skip BOM
+
+    const endRow = () => {
+      fields.push(field);
+      field = '';
+      if (!header) {
+        header = fields.map(h => h.trim());
+      } else if (fields.length > 1 || fields[0] !== '') {
+        const row = {};
+        header.forEach((h, idx) => { row[h] = fields[idx] !== undefined ? fields[idx].trim() : ''; });
+        fn(row);
+      }
+      fields = [];
+    };
+
+    for (; i < text.length; i++) {
+      const c = text[i];
+      if (inQuotes) {
+        if (c === '"') {
+          if (text[i + 1] === '"') { field += '"'; i++; }
+          else inQuotes = false;
+        } else {
+          field += c;
+        }
+      } else if (c === '"') {
+        inQuotes = true;
+      } else if (c === ',') {
+        fields.push(field);
+        field = '';
+      } else if (c === '\n') {
+        endRow();
+      } else if (c !== '\r') {
+        field += c;
+      }
+    }
+    if (field !== '' || fields.length > 0) endRow();
+  }
+};
+
+window.GtfsStatic = GtfsStatic;
@@ -0,0 +1,175 @@
+/**
+ * HTTP layer shared by every API client (Amtraker, GTFS-RT feeds, Nominatim)
+ * Adds request timeouts, retries with exponential backoff and jitter,
+ * per-host rate limiting and a per-host circuit breaker so a dead feed
+ * fails fast instead of stalling every refresh.
+ */
+
+const Http = {
+  DEFAULT_TIMEOUT: 15000,
+  DEFAULT_RETRIES: 2,
+  BACKOFF_BASE: 500, // first retry waits ~0.5s, then ~1s, ~2s...
+  BACKOFF_MAX: 8000,
+  BREAKER_THRESHOLD: 3, // consecutive failed requests before a host is skipped
+  BREAKER_COOLDOWN: 60000,
+
+  // host -> { minInterval, nextSlot, failures, openUntil }
+  hosts: new Map(),
+
+  /**
+   * Set options for a host, e.g. a minimum gap between calls
+   * @param {string} url - Any URL on the host (or a bare hostname)
+   * @param {Object} options - { minInterval }
+   */
+  configureHost(url, options) {
+    Object.assign(this.getHost(this.hostOf(url)), options);
+  },
+
+  hostOf(url) {
+    try {
+      return new URL(url).host;
+    } catch {
+      return url;
+    }
+  },
+
+  getHost(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, { minInterval: 0, nextSlot: 0, failures: 0, openUntil: 0 });
+    }
+    return this.hosts.get(host);
+  },
+
+  /**
+   * Fetch with timeout, retries and circuit breaker. Resolves with an ok
+   * Response; rejects with an Error carrying .status (HTTP errors) or
+   * .circuitOpen (host skipped after repeated failures).
+   * During replay, requests are answered from the recording instead.
+   * @param {string} url
+   * @param {Object} [options] - fetch options plus { timeout, retries, record, breaker }
+   *   (record: false keeps the response out of recordings; breaker: false
+   *   neither checks nor trips the host's circuit breaker)
+   * @returns {Promise<Response>}
+   */
+  async request(url, options = {}) {
+    const { timeout = this.DEFAULT_TIMEOUT, retries = this.DEFAULT_RETRIES, record = true, breaker = true, ...fetchOptions } = options;
+    if (record && typeof Recorder !== 'undefined' && Recorder.isReplaying()) {
+      return Recorder.respond(url);
+    }
+
+    const host = this.hostOf(url);
+    const state = this.getHost(host);
+
+    if (breaker && Date.now() < state.openUntil) {
+      const err = new Error(`${host} is unavailable, retrying in ${Math.ceil((state.openUntil - Date.now()) / 1000)}s`);
+      err.circuitOpen = true;
+      throw err;
+    }
+
+    let lastError;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) await this.sleep(this.backoffDelay(attempt, lastError));
+      await this.throttle(state);
+
+      try {
+        const response = await this.fetchWithTimeout(url, fetchOptions, timeout);
+        if (response.ok) {
+          state.failures = 0;
+          state.openUntil = 0;
+          if (record && typeof Recorder !== 'undefined' && Recorder.isRecording()) Recorder.capture(url, response);
+          return response;
+        }
+
+        lastError = new Error(`HTTP ${response.status} from ${host}`);
+        lastError.status = response.status;
+        lastError.retryAfter = parseInt(response.headers && response.headers.get('Retry-After')) || 0;
+
+        // Other 4xx won't fix themselves on retry
+        if (response.status < 500 && response.status !== 429) break;
+      } catch (err) {
+        lastError = err;
+      }
+    }
+
+    // A 404 or 400 means the host is up, so only outages count toward the breaker
+    if (!breaker || !this.isOutage(lastError)) throw lastError;
+
+    state.failures++;
+    if (state.failures >= this.BREAKER_THRESHOLD) {
+      state.openUntil = Date.now() + this.BREAKER_COOLDOWN;
+      console.warn(`🔌 ${host} failed ${state.failures} times in a row, pausing requests for ${this.BREAKER_COOLDOWN / 1000}s`);
+    }
+    throw lastError;
+  },
+
+  /**
+   * Whether an error means the host is down or overloaded: a network
+   * error, a timeout, a 5xx or a 429
+   */
+  isOutage(err) {
+    return !err.status || err.status >= 500 || err.status === 429;
+  },
+
+  /**
+   * Fetch and parse JSON
+   */
+  async json(url, options) {
+    const response = await this.request(url, options);
+    return response.json();
+  },
+
+  /**
+   * Fetch a binary body (GTFS-RT protobuf)
+   */
+  async arrayBuffer(url, options) {
+    const response = await this.request(url, options);
+    return response.arrayBuffer();
+  },
+
+  /**
+   * fetch() that aborts after timeout ms. The body is read before the
+   * timer stops, so a feed that stalls mid-body times out too; the
+   * returned Response is rebuilt from the buffered bytes.
+   */
+  async fetchWithTimeout(url, options, timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+      const response = await fetch(url, { ...options, signal: controller.signal });
+      const body = await response.arrayBuffer();
+      return new Response(body.byteLength ? body : null, { status: response.status, statusText: response.statusText, headers: response.headers });
+    } catch (err) {
+      if (err.name === 'AbortError') throw new Error(`Request to ${this.hostOf(url)} timed out after ${timeout / 1000}s`);
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+  },
+
+  /**
+   * Wait for this host's next free slot. Slots are reserved up front so
+   * concurrent callers queue instead of all firing after the same wait.
+   */
+  async throttle(state) {
+    const now = Date.now();
+    const slot = Math.max(now, state.nextSlot);
+    state.nextSlot = slot + state.minInterval;
+    if (slot > now) await this.sleep(slot - now);
+  },
+
+  /**
+   * Exponential backoff with jitter (50–100% of the step), honoring Retry-After
+   */
+  backoffDelay(attempt, lastError) {
+    const step = Math.min(this.BACKOFF_MAX, this.BACKOFF_BASE * 2 ** (attempt - 1));
+    const delay = step / 2 + Math.random() * step / 2;
+    const retryAfter = lastError && lastError.retryAfter ? lastError.retryAfter * 1000 : 0;
+    return Math.min(this.BACKOFF_MAX, Math.max(delay, retryAfter));
+  },
+
+  sleep(ms) {
+    return new Promise(r => setTimeout(r, ms));
+  }
+};
+
+window.Http = Http;
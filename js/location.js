@@ -7,6 +7,14 @@
 const Location = {
   NOMINATIM_URL: 'https://nominatim.openstreetmap.org',
 
+  // Heading cardinal to degrees lookup
+  HEADING_DEGREES: {
+    'N': 0, 'NNE': 22.5, 'NE': 45, 'ENE': 67.5,
+    'E': 90, 'ESE': 112.5, 'SE': 135, 'SSE': 157.5,
+    'S': 180, 'SSW': 202.5, 'SW': 225, 'WSW': 247.5,
+    'W': 270, 'WNW': 292.5, 'NW': 315, 'NNW': 337.5
+  },
+
   /**
    * Get current position from browser geolocation API
    * @returns {Promise<{lat: number, lon: number, accuracy: number}>}
@@ -58,16 +66,14 @@ const Location = {
    */
   async reverseGeocode(lat, lon) {
     try {
-      const response = await fetch(
+      const data = await Http.json(
         `${this.NOMINATIM_URL}/reverse?lat=${lat}&lon=${lon}&format=json&zoom=10`,
         {
-          headers: { 'User-Agent': 'NearbyTrains/1.0' }
+          headers: { 'User-Agent': 'NearbyTrains/1.0' },
+          retries: 1,
+          record: false
         }
       );
-
-      if (!response.ok) throw new Error('Geocoding failed');
-
-      const data = await response.json();
       const addr = data.address || {};
 
       // Build a nice name: city, state or county, state
@@ -94,16 +100,14 @@ const Location = {
     if (!query || query.trim().length < 2) return [];
 
     try {
-      const response = await fetch(
+      const results = await Http.json(
         `${this.NOMINATIM_URL}/search?q=${encodeURIComponent(query)}&format=json&limit=5&countrycodes=us,ca,mx`,
         {
-          headers: { 'User-Agent': 'NearbyTrains/1.0' }
+          headers: { 'User-Agent': 'NearbyTrains/1.0' },
+          retries: 1,
+          record: false
         }
       );
-
-      if (!response.ok) throw new Error('Search failed');
-
-      const results = await response.json();
       return results.map(r => ({
         name: r.display_name.split(',').slice(0, 3).join(',').trim(),
         fullName: r.display_name,
@@ -149,16 +153,68 @@ const Location = {
    * @returns {string} Cardinal direction (N, NE, E, SE, S, SW, W, NW)
    */
   getBearing(lat1, lon1, lat2, lon2) {
+    const bearing = this.getBearingDegrees(lat1, lon1, lat2, lon2);
+
+    const directions = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+    const index = Math.round(bearing / 45) % 8;
+    return directions[index];
+  },
+
+  /**
+   * Initial bearing from point A to point B
+   * @returns {number} Degrees clockwise from north (0-360)
+   */
+  getBearingDegrees(lat1, lon1, lat2, lon2) {
     const dLon = (lon2 - lon1) * Math.PI / 180;
     const y = Math.sin(dLon) * Math.cos(lat2 * Math.PI / 180);
     const x = Math.cos(lat1 * Math.PI / 180) * Math.sin(lat2 * Math.PI / 180) -
               Math.sin(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * Math.cos(dLon);
-    let bearing = Math.atan2(y, x) * 180 / Math.PI;
-    bearing = (bearing + 360) % 360;
+    const bearing = Math.atan2(y, x) * 180 / Math.PI;
+    return (bearing + 360) % 360;
+  },
 
-    const directions = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
-    const index = Math.round(bearing / 45) % 8;
-    return directions[index];
+  /**
+   * Degrees for a cardinal heading ('N', 'SSW', ...), or undefined
+   */
+  headingToDegrees(heading) {
+    return this.HEADING_DEGREES[(heading || '').toUpperCase().trim()];
+  },
+
+  /**
+   * Position in miles east (x) and north (y) of an origin. Flat-earth,
+   * which is plenty accurate within a few dozen miles.
+   */
+  toLocalMiles(lat, lon, originLat, originLon) {
+    const milesPerDegree = 3959 * Math.PI / 180;
+    return {
+      x: (lon - originLon) * milesPerDegree * Math.cos(originLat * Math.PI / 180),
+      y: (lat - originLat) * milesPerDegree
+    };
+  },
+
+  /**
+   * Point reached by travelling a distance along a bearing (great circle)
+   * @param {number} bearing - Degrees clockwise from north
+   * @param {number} miles - Distance to travel
+   * @returns {{lat: number, lon: number}}
+   */
+  destinationPoint(lat, lon, bearing, miles) {
+    const R = 3959; // Earth's radius in miles
+    const d = miles / R;
+    const brng = bearing * Math.PI / 180;
+    const lat1 = lat * Math.PI / 180;
+    const lon1 = lon * Math.PI / 180;
+
+    const lat2 = Math.asin(Math.sin(lat1) * Math.cos(d) + Math.cos(lat1) * Math.sin(d) * Math.cos(brng));
+    const lon2 = lon1 + Math.atan2(
+      Math.sin(brng) * Math.sin(d) * Math.cos(lat1),
+      Math.cos(d) - Math.sin(lat1) * Math.sin(lat2)
+    );
+
+    return {
+      lat: lat2 * 180 / Math.PI,
+      lon: ((lon2 * 180 / Math.PI) + 540) % 360 - 180
+    };
   },
 
   /**
@@ -202,3 +258,6 @@ const Location = {
 };
 
 window.Location = Location;
+
+// Nominatim's usage policy allows at most one request per second
+Http.configureHost(Location.NOMINATIM_URL, { minInterval: 1000 });
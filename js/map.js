@@ -11,36 +11,30 @@ const MapManager = {
   stationMarkers: new Map(),
   stationsVisible: true,
   trainPaths: new Map(),
+  geofenceLayer: null,
+  drawing: null, // { type, points, layer, onClick, onChange } while drawing a geofence
 
-  // Heading cardinal to degrees lookup
-  HEADING_DEGREES: {
-    'N': 0, 'NNE': 22.5, 'NE': 45, 'ENE': 67.5,
-    'E': 90, 'ESE': 112.5, 'SE': 135, 'SSE': 157.5,
-    'S': 180, 'SSW': 202.5, 'SW': 225, 'WSW': 247.5,
-    'W': 270, 'WNW': 292.5, 'NW': 315, 'NNW': 337.5
-  },
+  // Dead reckoning between polls: trainID -> { lat, lon, time, course, speed, from, blendStart }
+  motion: new Map(),
+  animationFrame: null,
+  MAX_EXTRAPOLATION_MS: 3 * 60000, // stop projecting a train this long after its fix
+  SNAP_MS: 1500, // glide from the projected position to a fresh fix
 
   // Custom train icon with directional arrow
   createTrainIcon(train, isClosest = false) {
-    const provider = (train.provider || '').toLowerCase();
-    let color = '#3b82f6'; // default blue
-
-    if (provider === 'brightline') { color = '#eab308'; }
-    else if (provider === 'via') { color = '#dc2626'; }
-    else if (provider === 'lirr') { color = '#0039A6'; } // MTA blue
-    else if (provider === 'metro-north') { color = '#125EA0'; } // Metro-North teal-blue
-    else { color = '#2563eb'; }
+    // Color by on-time status; brand color when there's no schedule data
+    const status = Providers.getStatus(train);
+    let color = status.key === 'unknown' ? Providers.getColor(train) : status.color;
 
-    // Use iconColor for on-time status (skip for MTA trains which use fixed brand colors)
-    if (train.iconColor && !train._mtaSource) color = train.iconColor;
+    // Stale trains are drawn gray and faded at their last known position
+    if (train.isStale) color = '#94a3b8';
 
     const size = isClosest ? 36 : 28;
     const borderWidth = isClosest ? 3 : 2;
     const shadow = isClosest ? '0 0 12px rgba(59,130,246,0.6)' : '0 2px 4px rgba(0,0,0,0.3)';
 
     // Determine rotation from heading
-    const heading = (train.heading || '').toUpperCase().trim();
-    const degrees = this.HEADING_DEGREES[heading];
+    const degrees = Location.headingToDegrees(train.heading);
     const isStopped = !train.velocity || train.velocity === 0;
     const hasDirection = degrees !== undefined && !isStopped;
 
@@ -66,6 +60,7 @@ const MapManager = {
         box-shadow: ${shadow};
         cursor: pointer;
         transition: transform 0.3s;
+        opacity: ${train.isStale ? 0.6 : 1};
       ">${hasDirection ? arrowSVG : dotHTML}</div>`,
       iconSize: [size, size],
       iconAnchor: [size / 2, size / 2],
@@ -102,6 +97,10 @@ const MapManager = {
     if (this.map) {
       this.map.remove();
     }
+    this.stopAnimation();
+    this.trainMarkers.clear();
+    this.motion.clear();
+    this.drawing = null;
 
     this.map = L.map('train-map', {
       center: [lat, lon],
@@ -163,6 +162,9 @@ const MapManager = {
       dashArray: '5,5'
     }).addTo(this.map);
 
+    this.geofenceLayer = L.layerGroup().addTo(this.map);
+    this.map.on('zoomend', () => this.resizeCorridors());
+
     // Fit map to radius
     this.map.fitBounds(this.radiusCircle.getBounds(), { padding: [20, 20] });
 
@@ -190,6 +192,108 @@ const MapManager = {
     }
   },
 
+  /**
+   * Draw the location's geofences. With any, the radius circle is only
+   * drawn faintly since it no longer decides what's nearby.
+   */
+  showGeofences(fences) {
+    if (!this.geofenceLayer) return;
+    this.geofenceLayer.clearLayers();
+
+    fences.forEach(fence => {
+      const layer = fence.type === 'polygon'
+        ? L.polygon(fence.points, { color: '#f59e0b', weight: 2, fillColor: '#f59e0b', fillOpacity: 0.12 })
+        : L.polyline(fence.points, { color: '#f59e0b', opacity: 0.35, lineCap: 'round', lineJoin: 'round' });
+      layer.fence = fence;
+      layer.bindTooltip(`${UI.escapeHTML(fence.name)} · ${Geofences.describe(fence)}`);
+      this.geofenceLayer.addLayer(layer);
+    });
+    this.resizeCorridors();
+
+    if (this.radiusCircle) {
+      this.radiusCircle.setStyle(fences.length > 0 ? { opacity: 0.3, fillOpacity: 0 } : { opacity: 1, fillOpacity: 0.05 });
+    }
+  },
+
+  /**
+   * Corridors are drawn as a line as wide as the corridor at this zoom
+   */
+  resizeCorridors() {
+    if (!this.map || !this.geofenceLayer) return;
+    const metersPerPixel = 156543.03 * Math.cos(this.map.getCenter().lat * Math.PI / 180) / 2 ** this.map.getZoom();
+
+    this.geofenceLayer.eachLayer(layer => {
+      if (layer.fence && layer.fence.type === 'corridor') {
+        layer.setStyle({ weight: Math.max(3, layer.fence.width * 2 * 1609.34 / metersPerPixel) });
+      }
+    });
+  },
+
+  /**
+   * Start drawing a geofence: each map click adds a point
+   * @param {string} type - 'polygon' or 'corridor'
+   * @param {Function} onChange - Called with the points after each change
+   */
+  startDrawing(type, onChange) {
+    if (!this.map) return;
+    this.stopDrawing();
+
+    this.drawing = {
+      type,
+      points: [],
+      layer: L.layerGroup().addTo(this.map),
+      onChange,
+      onClick: (e) => {
+        this.drawing.points.push([e.latlng.lat, e.latlng.lng]);
+        this.renderDrawing();
+      }
+    };
+    this.map.on('click', this.drawing.onClick);
+    this.map.doubleClickZoom.disable();
+    this.map.getContainer().style.cursor = 'crosshair';
+  },
+
+  setDrawingType(type) {
+    if (!this.drawing) return;
+    this.drawing.type = type;
+    this.renderDrawing();
+  },
+
+  undoDrawingPoint() {
+    if (!this.drawing) return;
+    this.drawing.points.pop();
+    this.renderDrawing();
+  },
+
+  renderDrawing() {
+    const { type, points, layer, onChange } = this.drawing;
+    const style = { color: '#f59e0b', weight: 2, dashArray: '4,4', fillOpacity: 0.1 };
+
+    layer.clearLayers();
+    if (points.length > 1) {
+      layer.addLayer(type === 'polygon' && points.length > 2 ? L.polygon(points, style) : L.polyline(points, style));
+    }
+    points.forEach(p => layer.addLayer(L.circleMarker(p, { radius: 4, color: '#f59e0b', fillOpacity: 1 })));
+    if (onChange) onChange(points);
+  },
+
+  /**
+   * Stop drawing
+   * @returns {Array} The drawn points
+   */
+  stopDrawing() {
+    if (!this.drawing) return [];
+    const points = this.drawing.points;
+    if (this.map) {
+      this.map.off('click', this.drawing.onClick);
+      this.map.doubleClickZoom.enable();
+      this.map.getContainer().style.cursor = '';
+    }
+    this.drawing.layer.remove();
+    this.drawing = null;
+    return points;
+  },
+
   /**
    * Update train markers on the map
    */
@@ -203,17 +307,21 @@ const MapManager = {
       const isClosest = train.trainID === closestTrainID;
       const icon = this.createTrainIcon(train, isClosest);
 
-      if (this.trainMarkers.has(train.trainID)) {
-        // Update existing marker
-        const marker = this.trainMarkers.get(train.trainID);
-        marker.setLatLng([train.lat, train.lon]);
+      const existing = this.trainMarkers.get(train.trainID);
+      this.setMotion(train, existing ? existing.getLatLng() : null);
+      const pos = this.getDisplayedPosition(train.trainID);
+
+      if (existing) {
+        // Update existing marker (it glides from where it was drawn)
+        const marker = existing;
+        marker.setLatLng([pos.lat, pos.lon]);
         marker.setIcon(icon);
         marker.setPopupContent(this.createTrainPopup(train));
         if (isClosest) marker.setZIndexOffset(999);
         else marker.setZIndexOffset(0);
       } else {
         // Create new marker
-        const marker = L.marker([train.lat, train.lon], {
+        const marker = L.marker([pos.lat, pos.lon], {
           icon: icon,
           zIndexOffset: isClosest ? 999 : 0
         }).addTo(this.map);
@@ -228,7 +336,94 @@ const MapManager = {
       if (!activeTrainIDs.has(trainID)) {
         marker.remove();
         this.trainMarkers.delete(trainID);
+        this.motion.delete(trainID);
+      }
+    }
+
+    this.startAnimation();
+  },
+
+  /**
+   * Record a fresh fix for dead reckoning along the train's course
+   * (from Tracker.trackCourse)
+   * @param {Object} train
+   * @param {Object} [displayed] - Where the marker is drawn now, to glide from
+   */
+  setMotion(train, displayed) {
+    const now = Recorder.now();
+
+    // Project from when the position was reported, if that's recent
+    const reported = train.lastValTS ? new Date(train.lastValTS).getTime() : NaN;
+    const time = reported <= now && now - reported < this.MAX_EXTRAPOLATION_MS ? reported : now;
+
+    const moving = !train.isStale && train.velocity > 0 && typeof train.course === 'number';
+    this.motion.set(train.trainID, {
+      lat: train.lat,
+      lon: train.lon,
+      time,
+      course: train.course,
+      speed: moving ? train.velocity : 0,
+      from: displayed ? { lat: displayed.lat, lon: displayed.lng } : null,
+      blendStart: Date.now()
+    });
+  },
+
+  /**
+   * Where a train should be drawn right now: its last fix projected along
+   * its course at its last speed, eased in from the previous drawn
+   * position for SNAP_MS after each fix
+   * @returns {{lat: number, lon: number}|null}
+   */
+  getDisplayedPosition(trainID, now = Recorder.now()) {
+    const m = this.motion.get(trainID);
+    if (!m) return null;
+
+    let pos = { lat: m.lat, lon: m.lon };
+    if (m.speed > 0) {
+      const elapsed = Math.min(Math.max(0, now - m.time), this.MAX_EXTRAPOLATION_MS);
+      pos = Location.destinationPoint(m.lat, m.lon, m.course, m.speed * elapsed / 3600000);
+    }
+
+    const k = m.from ? (Date.now() - m.blendStart) / this.SNAP_MS : 1;
+    if (k < 1) {
+      const ease = k * (2 - k);
+      pos = {
+        lat: m.from.lat + (pos.lat - m.from.lat) * ease,
+        lon: m.from.lon + (pos.lon - m.from.lon) * ease
+      };
+    }
+    return pos;
+  },
+
+  /**
+   * Move markers every frame while any train is moving or gliding
+   */
+  startAnimation() {
+    if (this.animationFrame) return;
+
+    const step = () => {
+      this.animationFrame = null;
+      if (!this.map) return;
+
+      const now = Recorder.now();
+      let active = false;
+      for (const [trainID, marker] of this.trainMarkers) {
+        const m = this.motion.get(trainID);
+        if (!m || (m.speed === 0 && Date.now() - m.blendStart > this.SNAP_MS)) continue;
+        const pos = this.getDisplayedPosition(trainID, now);
+        marker.setLatLng([pos.lat, pos.lon]);
+        active = true;
       }
+
+      if (active) this.animationFrame = requestAnimationFrame(step);
+    };
+    this.animationFrame = requestAnimationFrame(step);
+  },
+
+  stopAnimation() {
+    if (this.animationFrame) {
+      cancelAnimationFrame(this.animationFrame);
+      this.animationFrame = null;
     }
   },
 
@@ -236,43 +431,50 @@ const MapManager = {
    * Create popup content for a train marker
    */
   createTrainPopup(train) {
-    const status = AmtrakerClient.getStatusText(train);
+    const isGtfs = MTAClient.isGtfsTrain(train);
+    const status = Providers.getStatus(train);
     const nextStation = AmtrakerClient.getNextStation(train);
-    const nextStationText = nextStation ? nextStation.name : '—';
+    let nextStationText = nextStation ? UI.escapeHTML(nextStation.name) : '—';
+    if (isGtfs && nextStation && nextStation.arr) {
+      nextStationText += ` (${new Date(nextStation.arr).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })})`;
+    }
     const speed = train.velocity ? `${Math.round(train.velocity)} mph` : 'Stopped';
     const distance = train.distance !== undefined ? Tracker.formatDistance(train.distance) : '';
 
-    const isMTA = !!train._mtaSource;
-    const amtrakerURL = isMTA ? null : AmtrakerClient.getAmtrakerURL(train);
-    const emoji = isMTA ? '🚇' : AmtrakerClient.getProviderEmoji(train);
-    const providerLabel = train.provider || 'Amtrak';
+    const amtrakerURL = isGtfs ? null : AmtrakerClient.getAmtrakerURL(train);
+    const emoji = Providers.getEmoji(train);
+    const providerLabel = UI.escapeHTML(train.provider || 'Amtrak');
 
     let routeRow = '';
-    if (!isMTA && (train.origName || train.destName)) {
-      routeRow = `<div>🛤️ ${train.origName || '?'} → ${train.destName || '?'}</div>`;
+    if ((!isGtfs || train.origName) && (train.origName || train.destName)) {
+      routeRow = `<div>🛤️ ${UI.escapeHTML(train.origName || '?')} → ${UI.escapeHTML(train.destName || '?')}</div>`;
     }
 
-    let linkRow = '';
+    let linkRow = `<button data-train-detail="${UI.escapeHTML(train.trainID)}" style="font-size:11px;padding:4px 10px;background:#f1f5f9;color:#1e293b;border:1px solid #cbd5e1;border-radius:12px;cursor:pointer;font-weight:600;">🕒 Stops &amp; times</button>`;
     if (amtrakerURL) {
-      linkRow = `<a href="${amtrakerURL}" target="_blank" rel="noopener" style="font-size:11px;padding:4px 10px;background:#2563eb;color:white;border-radius:12px;text-decoration:none;font-weight:600;">View on Amtraker ↗</a>`;
+      linkRow += `<a href="${amtrakerURL}" target="_blank" rel="noopener" style="font-size:11px;padding:4px 10px;background:#2563eb;color:white;border-radius:12px;text-decoration:none;font-weight:600;">View on Amtraker ↗</a>`;
     }
 
     return `
       <div style="min-width: 220px; font-family: system-ui, sans-serif;">
         <div style="font-weight: 700; font-size: 14px; margin-bottom: 4px;">
-          ${emoji} ${train.routeName || 'Unknown'}
+          ${emoji} ${UI.escapeHTML(train.routeName || 'Unknown')}
         </div>
         <div style="font-size: 12px; color: #666; margin-bottom: 8px;">
-          Train #${train.trainNum} · ${providerLabel}
+          Train #${UI.escapeHTML(train.trainNum)} · ${providerLabel}
         </div>
         <div style="font-size: 12px; line-height: 1.6;">
-          <div>📍 ${distance} away</div>
+          <div>📍 ${distance} away${train.track ? ` · ${Tracker.formatDistance(train.track.distance)} by rail` : ''}</div>
           <div>🚄 ${speed} · ${train.heading || '—'}</div>
-          <div>📊 ${status}</div>
-          ${isMTA ? '' : `<div>🔜 Next: ${nextStationText}</div>`}
+          <div>📊 <span style="color:${status.color};font-weight:600;">${UI.escapeHTML(status.label)}</span></div>
+          ${!isGtfs || nextStation ? `<div>🔜 Next: ${nextStationText}</div>` : ''}
           ${routeRow}
+          ${train.geofence ? `<div>🚧 In ${UI.escapeHTML(train.geofence)}</div>` : ''}
+          ${train.watched ? '<div>⭐ On your watchlist</div>' : ''}
+          ${train.approach ? `<div>🎯 ${Tracker.formatApproach(train.approach)}, ${Tracker.formatDistance(train.approach.distance)} from you</div>` : ''}
+          ${train.isStale ? `<div style="color:#b45309;">⏸️ Last known position · ${train.staleReason}</div>` : ''}
         </div>
-        ${linkRow ? `<div style="display:flex;gap:6px;margin-top:8px;">${linkRow}</div>` : ''}
+        <div style="display:flex;gap:6px;margin-top:8px;">${linkRow}</div>
       </div>
     `;
   },
@@ -304,6 +506,7 @@ const MapManager = {
           <div style="font-size: 12px; color: #666;">${station.code} · ${Tracker.formatDistance(station.distance)} away</div>
           <div style="font-size: 12px; margin-top: 4px;">${trainCount} train${trainCount !== 1 ? 's' : ''} scheduled</div>
           ${station.address1 ? `<div style="font-size: 11px; color: #888; margin-top: 2px;">${station.address1}</div>` : ''}
+          <button data-station-board="${station.code}" style="margin-top:8px;font-size:11px;padding:4px 10px;background:#f1f5f9;color:#1e293b;border:1px solid #cbd5e1;border-radius:12px;cursor:pointer;font-weight:600;">🕒 Departures</button>
         </div>
       `);
 
@@ -351,6 +554,18 @@ const MapManager = {
     }
   },
 
+  /**
+   * Center on a train and open its popup
+   * @param {Object} train - Needs trainID, lat and lon
+   */
+  focusTrain(train) {
+    if (!this.map) return;
+    const marker = this.trainMarkers.get(train.trainID);
+    const latLng = marker ? marker.getLatLng() : [train.lat, train.lon];
+    this.map.setView(latLng, Math.max(this.map.getZoom(), 10));
+    if (marker) marker.openPopup();
+  },
+
   /**
    * Fit map to show all nearby trains
    */
@@ -375,10 +590,12 @@ const MapManager = {
    * Destroy map
    */
   destroy() {
+    this.stopAnimation();
     if (this.map) {
       this.map.remove();
       this.map = null;
     }
+    this.motion.clear();
     this.trainMarkers.clear();
     this.stationMarkers.clear();
   }
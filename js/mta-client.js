@@ -4,6 +4,8 @@
  *
  * Decodes GTFS-RT vehicle positions from binary protobuf without
  * any external library — the format is simple enough to hand-decode.
+ * The same decoder also serves any custom GTFS-RT VehiclePositions feed
+ * the user adds in settings (Metra, Caltrain, SEPTA, MARC, Exo, GO...).
  */
 
 const MTAClient = {
@@ -12,18 +14,6 @@ const MTAClient = {
     metroNorth: 'https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/mnr%2Fgtfs-mnr',
   },
 
-  lastCall: 0,
-  minInterval: 2000,
-
-  async rateLimit() {
-    const now = Date.now();
-    const elapsed = now - this.lastCall;
-    if (elapsed < this.minInterval) {
-      await new Promise(r => setTimeout(r, this.minInterval - elapsed));
-    }
-    this.lastCall = Date.now();
-  },
-
   // ──────────────────────────────────────────────
   // Minimal protobuf varint / wire-type decoder
   // GTFS-RT only uses a small subset of protobuf
@@ -39,10 +29,12 @@ const MTAClient = {
     while (offset < dv.byteLength) {
       const b = dv.getUint8(offset++);
       bytesRead++;
-      result |= (b & 0x7f) << shift;
+      // Keep the low 32 bits; negative int32s (e.g. TripUpdate delays)
+      // are sign-extended to 10 bytes on the wire
+      if (shift < 32) result |= (b & 0x7f) << shift;
       if ((b & 0x80) === 0) break;
       shift += 7;
-      if (shift > 35) throw new Error('Varint too long');
+      if (bytesRead >= 10) throw new Error('Varint too long');
     }
     return { value: result >>> 0, bytesRead };
   },
@@ -115,6 +107,14 @@ const MTAClient = {
     return 0;
   },
 
+  /**
+   * Get a signed 32-bit integer from a varint field (int32 / delay seconds)
+   */
+  getInt32(field) {
+    if (!field || field.wireType !== 0) return null;
+    return field.value | 0;
+  },
+
   /**
    * Get a sub-message from a length-delimited field
    */
@@ -133,16 +133,18 @@ const MTAClient = {
   //
   // FeedEntity:
   //   field 1 = id (string)
+  //   field 3 = trip_update (TripUpdate, embedded)
   //   field 4 = vehicle (VehiclePosition, embedded)
+  //   field 5 = alert (Alert, embedded)
   //
-  // VehiclePosition (MTA uses non-standard field mapping):
+  // VehiclePosition:
   //   field 1 = trip (TripDescriptor, embedded)
-  //   field 2 = position (Position, embedded) — NOTE: standard GTFS-RT puts this at field 3
-  //   field 3 = position (Position) — standard location, checked as fallback
+  //   field 2 = position (Position, embedded)
+  //   field 3 = current_stop_sequence (uint32)
   //   field 4 = current_status (enum: 0=INCOMING_AT, 1=STOPPED_AT, 2=IN_TRANSIT_TO)
   //   field 5 = timestamp (uint64)
-  //   field 7 = stop_id (MTA extension)
-  //   field 8 = vehicle descriptor (MTA extension)
+  //   field 7 = stop_id (string)
+  //   field 8 = vehicle (VehicleDescriptor, embedded)
   //
   // Position:
   //   field 1 = latitude (float)
@@ -153,12 +155,48 @@ const MTAClient = {
   // TripDescriptor:
   //   field 1 = trip_id (string)
   //   field 3 = route_id (string)
+  //   field 4 = schedule_relationship (enum: 0=SCHEDULED, 1=ADDED, 2=UNSCHEDULED, 3=CANCELED)
+  //
+  // TripUpdate:
+  //   field 1 = trip (TripDescriptor, embedded)
+  //   field 2 = stop_time_update (StopTimeUpdate, repeated)
+  //   field 4 = timestamp (uint64)
+  //   field 5 = delay (int32, seconds)
+  //
+  // StopTimeUpdate:
+  //   field 1 = stop_sequence (uint32)
+  //   field 2 = arrival (StopTimeEvent)
+  //   field 3 = departure (StopTimeEvent)
+  //   field 4 = stop_id (string)
+  //   field 5 = schedule_relationship (enum: 0=SCHEDULED, 1=SKIPPED, 2=NO_DATA)
+  //
+  // StopTimeEvent:
+  //   field 1 = delay (int32, seconds)
+  //   field 2 = time (int64, POSIX seconds)
+  //
+  // Alert:
+  //   field 1 = active_period (TimeRange, repeated: 1=start, 2=end POSIX seconds)
+  //   field 5 = informed_entity (EntitySelector, repeated)
+  //   field 6 = cause (enum)
+  //   field 7 = effect (enum)
+  //   field 8 = url (TranslatedString)
+  //   field 10 = header_text (TranslatedString)
+  //   field 11 = description_text (TranslatedString)
+  //
+  // EntitySelector:
+  //   field 1 = agency_id, 2 = route_id, 3 = route_type, 4 = trip, 5 = stop_id
+  //
+  // TranslatedString:
+  //   field 1 = translation (repeated: 1=text, 2=language)
 
   /**
-   * Parse a GTFS-RT FeedMessage binary into vehicle position objects
+   * Parse a GTFS-RT FeedMessage binary
+   * @returns {{vehicles: Array, tripUpdates: Array, alerts: Array}}
    */
   parseFeed(arrayBuffer) {
     const vehicles = [];
+    const tripUpdates = [];
+    const alerts = [];
     const feedMsg = this.parseMessage(arrayBuffer, 0, arrayBuffer.byteLength);
 
     // field 2 = FeedEntity (repeated)
@@ -172,94 +210,242 @@ const MTAClient = {
       const idField = entity.get(1);
       const entityId = idField ? this.getString(idField[0]) : '';
 
+      // field 3 = TripUpdate
+      const tuField = entity.get(3);
+      if (tuField) {
+        const tu = this.getSubMessage(tuField[0]);
+        if (tu) tripUpdates.push(this.parseTripUpdate(tu, entityId));
+      }
+
       // field 4 = VehiclePosition
       const vpField = entity.get(4);
-      if (!vpField) continue;
-      const vp = this.getSubMessage(vpField[0]);
-      if (!vp) continue;
-
-      // field 3 = Position (standard GTFS-RT)
-      // field 2 = Position (MTA uses this instead)
-      let posField = vp.get(3); // standard
-      if (!posField) posField = vp.get(2); // MTA extension
-      if (!posField) continue;
-
-      // Check if field 2 is actually a Position (has float sub-fields)
-      // vs a VehicleDescriptor. Position has float32 lat/lon at fields 1,2.
-      let pos = this.getSubMessage(posField[0]);
-      if (!pos) continue;
-
-      // Position fields
-      const latField = pos.get(1);
-      const lonField = pos.get(2);
-      const bearingField = pos.get(3);
-      const speedField = pos.get(4);
-
-      const lat = latField ? this.getFloat(latField[0]) : 0;
-      const lon = lonField ? this.getFloat(lonField[0]) : 0;
-
-      if (lat === 0 && lon === 0) continue; // Skip entries without GPS
-
-      const bearing = bearingField ? this.getFloat(bearingField[0]) : null;
-      const speedMs = speedField ? this.getFloat(speedField[0]) : 0;
-      const speedMph = speedMs * 2.23694; // m/s to mph
-
-      // field 1 = TripDescriptor
-      let tripId = '', routeId = '';
-      const tripField = vp.get(1);
-      if (tripField) {
-        const trip = this.getSubMessage(tripField[0]);
-        if (trip) {
-          const tidField = trip.get(1);
-          const ridField = trip.get(3);
-          if (tidField) tripId = this.getString(tidField[0]);
-          if (ridField) routeId = this.getString(ridField[0]);
-        }
+      if (vpField) {
+        const vp = this.getSubMessage(vpField[0]);
+        const vehicle = vp ? this.parseVehiclePosition(vp, entityId) : null;
+        if (vehicle) vehicles.push(vehicle);
       }
 
-      // field 8 = VehicleDescriptor (MTA extension)
-      // field 2 = VehicleDescriptor (standard) — but MTA uses field 2 for Position
-      let vehicleId = '', vehicleLabel = '';
-      const vehField = vp.get(8); // MTA puts vehicle info here
-      if (vehField) {
-        const veh = this.getSubMessage(vehField[0]);
-        if (veh) {
-          const vidField = veh.get(1);
-          const vlField = veh.get(2);
-          if (vidField) vehicleId = this.getString(vidField[0]);
-          if (vlField) vehicleLabel = this.getString(vlField[0]);
-        }
+      // field 5 = Alert
+      const alertField = entity.get(5);
+      if (alertField) {
+        const alert = this.getSubMessage(alertField[0]);
+        if (alert) alerts.push(this.parseAlert(alert, entityId));
       }
+    }
 
-      // field 7 = stop_id (MTA extension), field 5 = stop_id (standard)
-      const stopField = vp.get(7) || vp.get(5);
-      const stopId = stopField ? this.getString(stopField[0]) : '';
-
-      // field 4 = current_status
-      const statusField = vp.get(4);
-      const currentStatus = statusField ? statusField[0].value : 2;
-
-      // field 5 = timestamp (MTA)
-      const tsField = vp.get(5);
-      const timestamp = tsField ? tsField[0].value : 0;
-
-      vehicles.push({
-        entityId,
-        lat,
-        lon,
-        bearing,
-        speedMph,
-        tripId,
-        routeId,
-        vehicleId,
-        vehicleLabel,
-        stopId,
-        currentStatus,
-        timestamp
-      });
+    return { vehicles, tripUpdates, alerts };
+  },
+
+  /**
+   * Parse a TripDescriptor sub-message into { tripId, routeId, cancelled }
+   */
+  parseTripDescriptor(field) {
+    const trip = this.getSubMessage(field);
+    if (!trip) return { tripId: '', routeId: '', cancelled: false };
+    const tidField = trip.get(1);
+    const ridField = trip.get(3);
+    const relField = trip.get(4);
+    return {
+      tripId: tidField ? this.getString(tidField[0]) : '',
+      routeId: ridField ? this.getString(ridField[0]) : '',
+      cancelled: relField ? relField[0].value === 3 : false
+    };
+  },
+
+  /**
+   * Parse a VehiclePosition message, or null if it has no GPS fix
+   */
+  parseVehiclePosition(vp, entityId) {
+    // field 2 = Position (field 3 is current_stop_sequence, a varint)
+    const posField = vp.get(2);
+    const pos = posField ? this.getSubMessage(posField[0]) : null;
+    if (!pos) return null;
+
+    // Position fields
+    const latField = pos.get(1);
+    const lonField = pos.get(2);
+    const bearingField = pos.get(3);
+    const speedField = pos.get(4);
+
+    const lat = latField ? this.getFloat(latField[0]) : 0;
+    const lon = lonField ? this.getFloat(lonField[0]) : 0;
+
+    if (lat === 0 && lon === 0) return null; // Skip entries without GPS
+
+    const bearing = bearingField ? this.getFloat(bearingField[0]) : null;
+    const speedMs = speedField ? this.getFloat(speedField[0]) : 0;
+    const speedMph = speedMs * 2.23694; // m/s to mph
+
+    // field 1 = TripDescriptor
+    const tripField = vp.get(1);
+    const { tripId, routeId } = tripField
+      ? this.parseTripDescriptor(tripField[0])
+      : { tripId: '', routeId: '' };
+
+    // field 8 = VehicleDescriptor
+    let vehicleId = '', vehicleLabel = '';
+    const vehField = vp.get(8);
+    if (vehField) {
+      const veh = this.getSubMessage(vehField[0]);
+      if (veh) {
+        const vidField = veh.get(1);
+        const vlField = veh.get(2);
+        if (vidField) vehicleId = this.getString(vidField[0]);
+        if (vlField) vehicleLabel = this.getString(vlField[0]);
+      }
     }
 
-    return vehicles;
+    // field 7 = stop_id
+    const stopField = vp.get(7);
+    const stopId = stopField ? this.getString(stopField[0]) : '';
+
+    // field 4 = current_status
+    const statusField = vp.get(4);
+    const currentStatus = statusField ? statusField[0].value : 2;
+
+    // field 5 = timestamp
+    const tsField = vp.get(5);
+    const timestamp = tsField ? tsField[0].value : 0;
+
+    return {
+      entityId,
+      lat,
+      lon,
+      bearing,
+      speedMph,
+      tripId,
+      routeId,
+      vehicleId,
+      vehicleLabel,
+      stopId,
+      currentStatus,
+      timestamp
+    };
+  },
+
+  /**
+   * Parse a TripUpdate message into per-stop arrival/departure predictions
+   */
+  parseTripUpdate(tu, entityId) {
+    const tripField = tu.get(1);
+    const { tripId, routeId, cancelled } = tripField
+      ? this.parseTripDescriptor(tripField[0])
+      : { tripId: '', routeId: '', cancelled: false };
+
+    const readEvent = (field) => {
+      const event = this.getSubMessage(field);
+      if (!event) return { delay: null, time: null };
+      const delayField = event.get(1);
+      const timeField = event.get(2);
+      return {
+        delay: delayField ? this.getInt32(delayField[0]) : null,
+        time: timeField ? timeField[0].value * 1000 : null
+      };
+    };
+
+    const stopTimeUpdates = (tu.get(2) || []).map(stuField => {
+      const stu = this.getSubMessage(stuField);
+      if (!stu) return null;
+      const seqField = stu.get(1);
+      const arrField = stu.get(2);
+      const depField = stu.get(3);
+      const stopField = stu.get(4);
+      const relField = stu.get(5);
+      const arrival = arrField ? readEvent(arrField[0]) : { delay: null, time: null };
+      const departure = depField ? readEvent(depField[0]) : { delay: null, time: null };
+      return {
+        stopSequence: seqField ? seqField[0].value : null,
+        stopId: stopField ? this.getString(stopField[0]) : '',
+        arrivalDelay: arrival.delay,
+        arrivalTime: arrival.time,
+        departureDelay: departure.delay,
+        departureTime: departure.time,
+        skipped: relField ? relField[0].value === 1 : false
+      };
+    }).filter(Boolean);
+
+    const tsField = tu.get(4);
+    const delayField = tu.get(5);
+
+    return {
+      entityId,
+      tripId,
+      routeId,
+      stopTimeUpdates,
+      // A canceled trip, or one whose every remaining stop is skipped
+      cancelled: cancelled || (stopTimeUpdates.length > 0 && stopTimeUpdates.every(u => u.skipped)),
+      timestamp: tsField ? tsField[0].value : 0,
+      delay: delayField ? this.getInt32(delayField[0]) : null
+    };
+  },
+
+  /**
+   * Pick the English (or first) translation from a TranslatedString field
+   */
+  getTranslatedString(fields) {
+    const ts = fields ? this.getSubMessage(fields[0]) : null;
+    if (!ts) return '';
+    const translations = (ts.get(1) || []).map(f => {
+      const tr = this.getSubMessage(f);
+      if (!tr) return null;
+      const textField = tr.get(1);
+      const langField = tr.get(2);
+      return {
+        text: textField ? this.getString(textField[0]) : '',
+        language: langField ? this.getString(langField[0]).toLowerCase() : ''
+      };
+    }).filter(Boolean);
+
+    const english = translations.find(t => t.language.startsWith('en'))
+      || translations.find(t => !t.language)
+      || translations[0];
+    return english ? english.text : '';
+  },
+
+  /**
+   * Parse an Alert message into header/description text, active periods
+   * and the routes/stops/trips it applies to
+   */
+  parseAlert(alert, entityId) {
+    const activePeriods = (alert.get(1) || []).map(f => {
+      const range = this.getSubMessage(f);
+      if (!range) return null;
+      const startField = range.get(1);
+      const endField = range.get(2);
+      return {
+        start: startField ? startField[0].value * 1000 : 0,
+        end: endField ? endField[0].value * 1000 : 0
+      };
+    }).filter(Boolean);
+
+    const informedEntities = (alert.get(5) || []).map(f => {
+      const sel = this.getSubMessage(f);
+      if (!sel) return null;
+      const agencyField = sel.get(1);
+      const routeField = sel.get(2);
+      const tripField = sel.get(4);
+      const stopField = sel.get(5);
+      return {
+        agencyId: agencyField ? this.getString(agencyField[0]) : '',
+        routeId: routeField ? this.getString(routeField[0]) : '',
+        tripId: tripField ? this.parseTripDescriptor(tripField[0]).tripId : '',
+        stopId: stopField ? this.getString(stopField[0]) : ''
+      };
+    }).filter(Boolean);
+
+    const causeField = alert.get(6);
+    const effectField = alert.get(7);
+
+    return {
+      entityId,
+      activePeriods,
+      informedEntities,
+      cause: causeField ? causeField[0].value : null,
+      effect: effectField ? effectField[0].value : null,
+      url: this.getTranslatedString(alert.get(8)),
+      header: this.getTranslatedString(alert.get(10)),
+      description: this.getTranslatedString(alert.get(11))
+    };
   },
 
   /**
@@ -286,18 +472,96 @@ const MTAClient = {
   },
 
   /**
-   * Normalize an MTA vehicle into the same shape as an Amtraker train object
+   * Format a delay in minutes as "On time" / "4 min late" / "2 min early"
+   */
+  formatDelay(minutes) {
+    if (minutes === null || minutes === undefined) return '';
+    if (Math.abs(minutes) < 1) return 'On time';
+    return minutes > 0 ? `${minutes} min late` : `${-minutes} min early`;
+  },
+
+  /**
+   * Turn TripUpdate stop_time_updates into Amtraker-style station entries
+   * (schArr/arr/schDep/dep/status) so the hero card, popups and
+   * AmtrakerClient.getNextStation work the same for commuter rail
+   */
+  tripUpdateToStations(tu) {
+    const now = Date.now();
+    const iso = ms => (ms ? new Date(ms).toISOString() : null);
+    const pick = (...values) => values.find(v => v !== null && v !== undefined) ?? null;
+
+    return tu.stopTimeUpdates.filter(u => !u.skipped).map(u => {
+      const arr = u.arrivalTime || u.departureTime;
+      const dep = u.departureTime || u.arrivalTime;
+      const arrDelay = pick(u.arrivalDelay, u.departureDelay, tu.delay);
+      const depDelay = pick(u.departureDelay, u.arrivalDelay, tu.delay);
+
+      let status = 'Enroute';
+      if (dep && dep < now) status = 'Departed';
+      else if (arr && arr <= now) status = 'Station';
+
+      return {
+        name: u.stopId,
+        code: u.stopId,
+        schArr: arr && arrDelay !== null ? iso(arr - arrDelay * 1000) : null,
+        schDep: dep && depDelay !== null ? iso(dep - depDelay * 1000) : null,
+        arr: iso(arr),
+        dep: iso(dep),
+        status,
+        delayMinutes: arrDelay !== null ? Math.round(arrDelay / 60) : null
+      };
+    });
+  },
+
+  /**
+   * Current delay of a trip in minutes: the next stop's prediction,
+   * else the trip-level delay, else the last stop passed
+   */
+  getTripDelayMinutes(tu, stations) {
+    const next = stations.find(s => s.status !== 'Departed' && s.delayMinutes !== null);
+    if (next) return next.delayMinutes;
+    if (tu.delay !== null) return Math.round(tu.delay / 60);
+    const passed = stations.filter(s => s.delayMinutes !== null).pop();
+    return passed ? passed.delayMinutes : null;
+  },
+
+  /**
+   * Normalize a whole parsed feed, joining each vehicle to its TripUpdate
+   * and filling in names from imported static GTFS
+   * @param {{vehicles: Array, tripUpdates: Array}} feed - From parseFeed
+   * @param {string} source - Provider id
+   */
+  normalizeFeed(feed, source) {
+    const updatesByTrip = new Map();
+    feed.tripUpdates.forEach(tu => {
+      if (tu.tripId) updatesByTrip.set(tu.tripId, tu);
+    });
+    return feed.vehicles.map(v =>
+      GtfsStatic.resolve(source, this.normalizeVehicle(v, source, updatesByTrip.get(v.tripId) || null))
+    );
+  },
+
+  /**
+   * Normalize a GTFS-RT vehicle into the same shape as an Amtraker train object
    * so it can be used interchangeably in the tracker, map, and UI
+   * @param {Object} v - Parsed vehicle from parseFeed
+   * @param {string} source - Provider id (lirr, metroNorth, or a custom feed id)
+   * @param {Object} [tripUpdate] - Matching TripUpdate for delay predictions
    */
-  normalizeVehicle(v, source) {
-    const provider = source === 'lirr' ? 'LIRR' : 'Metro-North';
+  normalizeVehicle(v, source, tripUpdate = null) {
+    const registered = Providers.get(source);
+    const provider = registered ? registered.label : source;
     const trainNum = v.vehicleLabel || v.vehicleId || v.tripId.split('_')[0] || v.entityId;
+    const stations = tripUpdate ? this.tripUpdateToStations(tripUpdate) : [];
+    const delayMinutes = tripUpdate ? this.getTripDelayMinutes(tripUpdate, stations) : null;
 
     return {
       // Core identity
-      trainID: `mta-${source}-${v.entityId}`,
+      trainID: `${this.FEEDS[source] ? 'mta' : 'gtfs'}-${source}-${v.entityId}`,
       trainNum: trainNum,
-      routeName: provider, // MTA feeds don't include route names in vehicle positions
+      tripId: v.tripId,
+      routeId: v.routeId,
+      routeName: provider, // Replaced with the branch name when static GTFS is loaded
 
       // Position
       lat: v.lat,
@@ -308,58 +572,100 @@ const MTAClient = {
       // Provider info
       provider: provider,
 
-      // Route info (MTA feeds don't have origin/dest names in vehicle positions)
+      // Route info (raw stop id until GtfsStatic.resolve fills in names)
       origName: '',
       destName: v.stopId || '',
       trainState: this.statusText(v.currentStatus),
+      lastValTS: v.timestamp ? new Date(v.timestamp * 1000).toISOString() : null,
 
       // Status (MTA doesn't have Amtrak-style iconColor, so default to "active")
-      iconColor: source === 'lirr' ? '#0039A6' : '#0039A6', // MTA blue
-      trainTimely: v.currentStatus === 2 ? 'In Transit' : 'At Station',
-
-      // Amtraker-style fields (empty for MTA)
-      stations: [],
-
-      // Flag for MTA-specific handling
-      _mtaSource: source,
+      iconColor: registered ? registered.color : '#0039A6',
+      trainTimely: delayMinutes !== null
+        ? this.formatDelay(delayMinutes)
+        : (v.currentStatus === 2 ? 'In Transit' : 'At Station'),
+      delayMinutes,
+      cancelled: !!(tripUpdate && tripUpdate.cancelled),
+
+      // Amtraker-style stop list built from TripUpdate predictions (empty without one)
+      stations,
+
+      // Flag for GTFS-RT (commuter rail) specific handling
+      _gtfsSource: source,
     };
   },
 
   /**
-   * Fetch and parse vehicle positions from one feed
+   * Whether a train or history entry came from a GTFS-RT feed
+   */
+  isGtfsTrain(train) {
+    return !!train._gtfsSource || /^(mta|gtfs)-/.test(train.trainID || '');
+  },
+
+  /**
+   * Fetch and parse one MTA feed
    */
   async fetchFeed(source) {
-    const url = this.FEEDS[source];
+    return this.fetchUrl(this.FEEDS[source], source);
+  },
+
+  /**
+   * Fetch and parse any GTFS-RT feed URL. Throws on network or HTTP
+   * errors so the provider shows as failing rather than empty.
+   * @param {string} url - Feed URL (VehiclePositions, optionally with TripUpdates)
+   * @param {string} source - Provider id, used in error messages
+   */
+  async fetchUrl(url, source) {
+    const buffer = await Http.arrayBuffer(url);
     try {
-      const response = await fetch(url);
-      if (!response.ok) {
-        console.warn(`MTA ${source} feed error: ${response.status}`);
-        return [];
-      }
-      const buffer = await response.arrayBuffer();
-      const vehicles = this.parseFeed(buffer);
-      return vehicles.map(v => this.normalizeVehicle(v, source));
+      return this.parseFeed(buffer);
     } catch (err) {
-      console.warn(`MTA ${source} fetch failed:`, err.message);
-      return [];
+      throw new Error(`GTFS-RT ${source} feed could not be decoded: ${err.message}`);
     }
   },
 
   /**
-   * Fetch all MTA trains (LIRR + Metro-North)
-   * @param {Object} providerFilter - { lirr: true, metroNorth: true }
-   * @returns {Promise<Array>} Normalized train objects
+   * Register user-added GTFS-RT feeds as providers, replacing any
+   * previously registered custom feeds
+   * @param {Array} feeds - [{ id, name, url, color }] from settings.customFeeds
    */
-  async getAllTrains(providerFilter = { lirr: true, metroNorth: true }) {
-    await this.rateLimit();
-
-    const promises = [];
-    if (providerFilter.lirr) promises.push(this.fetchFeed('lirr'));
-    if (providerFilter.metroNorth) promises.push(this.fetchFeed('metroNorth'));
-
-    const results = await Promise.all(promises);
-    return results.flat();
+  registerCustomFeeds(feeds = []) {
+    Providers.list()
+      .filter(p => p.custom)
+      .forEach(p => Providers.unregister(p.id));
+
+    feeds.forEach(feed => {
+      Providers.register({
+        id: feed.id,
+        label: feed.name,
+        region: 'GTFS-RT',
+        emoji: '🚇',
+        color: feed.color || '#7c3aed',
+        custom: true,
+        staticGtfs: true,
+        fetch: () => MTAClient.fetchUrl(feed.url, feed.id),
+        normalize: parsed => MTAClient.normalizeFeed(parsed, feed.id),
+        getAlerts: parsed => parsed.alerts
+      });
+    });
   }
 };
 
 window.MTAClient = MTAClient;
+
+Object.assign(MTAClient.FEEDS, Storage.getApiOverrides().feeds);
+
+[
+  { id: 'lirr', label: 'LIRR', region: 'Long Island', color: '#0039A6' },
+  { id: 'metroNorth', label: 'Metro-North', region: 'NYC/CT', color: '#125EA0' }
+].forEach(provider => {
+  Providers.register({
+    ...provider,
+    emoji: '🚇',
+    staticGtfs: true,
+    fetch: () => MTAClient.fetchFeed(provider.id),
+    normalize: feed => MTAClient.normalizeFeed(feed, provider.id),
+    getAlerts: feed => feed.alerts
+  });
+});
+
+MTAClient.registerCustomFeeds(Storage.getSettings().customFeeds);
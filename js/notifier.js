@@ -0,0 +1,149 @@
+/**
+ * Notifier — browser notifications for tracker events
+ * Opt-in: nothing is sent until notifications are enabled in settings and
+ * the browser has granted permission. Fires when a train enters a
+ * location's radius, when one is predicted to pass within a few minutes
+ * and when a watched train's status changes.
+ */
+
+const Notifier = {
+  DEDUPE_MS: 30 * 60000, // one notification per train per location in this window
+
+  sent: new Map(), // dedupe key -> event time it was last sent
+  onOpen: null,
+
+  /**
+   * Subscribe to the tracker
+   * @param {Function} onOpen - Called with (trainID) when a notification is clicked
+   */
+  init(onOpen) {
+    this.onOpen = onOpen;
+    Tracker.on('train-entered-radius', e => this.handle('entered', e));
+    Tracker.on('train-approaching', e => this.handle('passing', e));
+    Tracker.on('watched-status-changed', e => this.handle('watched', e));
+  },
+
+  isSupported() {
+    return typeof Notification !== 'undefined';
+  },
+
+  /**
+   * @returns {string} 'granted', 'denied', 'default' or 'unsupported'
+   */
+  getPermission() {
+    return this.isSupported() ? Notification.permission : 'unsupported';
+  },
+
+  /**
+   * Whether notifications are switched on and allowed, so polling should
+   * carry on in a background tab
+   */
+  isEnabled() {
+    return Storage.getSettings().notifications.enabled && this.getPermission() === 'granted';
+  },
+
+  /**
+   * Ask the browser for permission (must follow a click)
+   * @returns {Promise<string>} The resulting permission
+   */
+  async requestPermission() {
+    if (!this.isSupported()) return 'unsupported';
+    return Notification.requestPermission();
+  },
+
+  /**
+   * Show a notification from elsewhere (alert rules) if permission is
+   * granted; the notification settings' toggles don't apply (the caller
+   * handles quiet hours)
+   * @param {Object} message - { key, title, body }
+   * @param {Object} event - { train, time }
+   * @returns {boolean} Whether it was shown
+   */
+  notify(message, event) {
+    if (this.getPermission() !== 'granted') return false;
+    return this.send(message, event);
+  },
+
+  /**
+   * Notify about a tracker event if the settings allow it
+   * @param {string} kind - 'entered', 'passing' or 'watched' (the settings flag)
+   * @param {Object} event - Tracker event payload
+   */
+  handle(kind, event) {
+    const prefs = Storage.getSettings().notifications;
+    if (!prefs.enabled || !prefs[kind] || this.getPermission() !== 'granted') return;
+    if (prefs.providers[event.train.providerId] === false) return;
+    if (kind === 'passing' && event.approach.minutes > prefs.passMinutes) return;
+
+    // Watched trains are followed anywhere, so only radius alerts are per
+    // location; quiet hours silence everything (watched trains go by the
+    // active location, which their events carry)
+    const location = Storage.getLocations().find(l => l.name === event.location.name) || null;
+    const settings = Storage.getLocationSettings(location);
+    if (QuietHours.isActive(settings)) return;
+    if (kind !== 'watched' && !settings.notify) return;
+
+    this.send(this.compose(kind, event), event);
+  },
+
+  /**
+   * Title, body and dedupe key for an event. Radius alerts share a key per
+   * train and location so "passes soon" and "is nearby" don't both fire;
+   * status changes are keyed by the new status.
+   */
+  compose(kind, { train, location, approach, from, to }) {
+    const name = `${Providers.getEmoji(train)} ${train.routeName || 'Train'} #${train.trainNum}`;
+
+    if (kind === 'watched') {
+      const next = AmtrakerClient.getNextStation(train);
+      return {
+        key: `watched:${train.trainID}:${to.key}`,
+        title: `⭐ ${name}: ${to.label}`,
+        body: `Was ${from.label.toLowerCase()}${next ? ` · next stop ${next.name}` : ''}`
+      };
+    }
+
+    const key = `radius:${location.name}:${train.trainID}`;
+    if (kind === 'passing') {
+      return {
+        key,
+        title: `${name} ${Tracker.formatApproach(approach)}`,
+        body: `Will pass ${Tracker.formatDistance(approach.distance)} from ${location.name}`
+      };
+    }
+    return {
+      key,
+      title: `${name} is nearby`,
+      body: `${Tracker.formatDistance(train.distance)} from ${location.name} · ${Tracker.formatSpeed(train.velocity)}`
+    };
+  },
+
+  /**
+   * Show a notification unless the same key was sent within DEDUPE_MS
+   * @returns {boolean} Whether it was shown
+   */
+  send({ key, title, body }, { train, time }) {
+    const last = this.sent.get(key);
+    if (last !== undefined && time - last < this.DEDUPE_MS) return false;
+    this.sent.set(key, time);
+    this.sent.forEach((sentAt, k) => {
+      if (time - sentAt >= this.DEDUPE_MS) this.sent.delete(k);
+    });
+
+    try {
+      const notification = new Notification(title, { body, tag: key });
+      notification.onclick = () => {
+        window.focus();
+        notification.close();
+        if (this.onOpen) this.onOpen(train.trainID);
+      };
+      return true;
+    } catch (e) {
+      // Some mobile browsers only allow notifications from a service worker
+      console.warn('Notification failed:', e.message);
+      return false;
+    }
+  }
+};
+
+window.Notifier = Notifier;
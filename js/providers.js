@@ -0,0 +1,294 @@
+/**
+ * Provider Registry
+ * Every train data source (Amtrak, VIA, Brightline, LIRR, Metro-North, ...)
+ * registers itself here with its id, label, brand color, fetch function,
+ * normalizer and default enabled state. Refresh, the settings modal and the
+ * map all iterate the registry instead of hard-coding providers.
+ */
+
+const Providers = {
+  registry: new Map(),
+
+  // On-time status shared by every provider, worked out from schedule data
+  STATUSES: {
+    early: { label: 'Early', color: 'var(--train-green)' },
+    onTime: { label: 'On time', color: 'var(--train-green)' },
+    minor: { label: 'Delayed', color: 'var(--train-yellow)' },
+    major: { label: 'Late', color: 'var(--train-red)' },
+    cancelled: { label: 'Cancelled', color: 'var(--text-secondary)' },
+    predeparture: { label: 'Predeparture', color: 'var(--text-secondary)' },
+    unknown: { label: 'Active', color: 'var(--text-muted)' }
+  },
+  EARLY_MINUTES: 2, // at least this early counts as early
+  ON_TIME_MINUTES: 5, // up to this late still counts as on time
+  MAJOR_DELAY_MINUTES: 15, // this late or more is a major delay
+
+  // providerId -> { lastAttempt, lastSuccess, latency, trainCount, consecutiveFailures, lastError }
+  health: new Map(),
+
+  /**
+   * Register a train provider
+   * @param {Object} provider
+   * @param {string} provider.id - Stable key used in settings.providers
+   * @param {string} provider.label - Display name (matches train.provider)
+   * @param {string} [provider.region] - Shown next to the label in settings
+   * @param {string} [provider.emoji] - Icon for lists and popups
+   * @param {string} [provider.color] - Brand color for map markers and lists
+   * @param {boolean} [provider.defaultEnabled] - Enabled for new users
+   * @param {string} [provider.source] - Providers sharing a source share one fetch per refresh
+   * @param {Function} provider.fetch - async () => raw data
+   * @param {Function} provider.normalize - (raw) => Array of Amtraker-shaped train objects
+   * @param {Function} [provider.getAlerts] - (raw) => Array of service alerts
+   * @param {boolean} [provider.staticGtfs] - Accepts a static GTFS zip for stop/route names
+   */
+  register(provider) {
+    if (!provider || !provider.id) throw new Error('Provider needs an id');
+    if (typeof provider.fetch !== 'function' || typeof provider.normalize !== 'function') {
+      throw new Error(`Provider ${provider.id} needs fetch() and normalize()`);
+    }
+
+    this.registry.set(provider.id, {
+      label: provider.id,
+      region: '',
+      emoji: '🚆',
+      color: '#2563eb',
+      defaultEnabled: true,
+      source: provider.id,
+      ...provider
+    });
+  },
+
+  /**
+   * Remove a provider from the registry
+   */
+  unregister(id) {
+    this.registry.delete(id);
+  },
+
+  /**
+   * Get a provider by id
+   */
+  get(id) {
+    return this.registry.get(id) || null;
+  },
+
+  /**
+   * All registered providers, in registration order
+   */
+  list() {
+    return [...this.registry.values()];
+  },
+
+  /**
+   * Whether a provider is on in an enabled map (its default when unset)
+   * @param {string} id - Provider id
+   * @param {Object} enabled - { providerId: boolean }
+   */
+  isEnabled(id, enabled = {}) {
+    if (enabled[id] !== undefined) return !!enabled[id];
+    const provider = this.get(id);
+    return provider ? provider.defaultEnabled : false;
+  },
+
+  /**
+   * Default enabled state for every provider, keyed by id
+   */
+  getDefaults() {
+    const defaults = {};
+    this.list().forEach(p => { defaults[p.id] = p.defaultEnabled; });
+    return defaults;
+  },
+
+  /**
+   * Find the provider a train (or history entry) belongs to.
+   * Falls back to matching the provider label for entries logged
+   * before trains carried a providerId.
+   */
+  forTrain(train) {
+    if (!train) return null;
+    if (train.providerId && this.registry.has(train.providerId)) {
+      return this.registry.get(train.providerId);
+    }
+
+    const key = (train.provider || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    if (!key) return null;
+    return this.list().find(p =>
+      p.id.toLowerCase() === key ||
+      p.label.toLowerCase().replace(/[^a-z0-9]/g, '') === key
+    ) || null;
+  },
+
+  /**
+   * Brand color for a train
+   */
+  getColor(train) {
+    const provider = this.forTrain(train);
+    return provider ? provider.color : '#2563eb';
+  },
+
+  /**
+   * Emoji for a train
+   */
+  getEmoji(train) {
+    const provider = this.forTrain(train);
+    return provider ? provider.emoji : '🚆';
+  },
+
+  /**
+   * Minutes late at a stop (negative = early): actual or estimated time
+   * vs. scheduled, arrival first. null when either time is missing.
+   */
+  getStopDelay(station) {
+    const pairs = [[station.arr, station.schArr], [station.dep, station.schDep]];
+    for (const [actual, scheduled] of pairs) {
+      if (actual && scheduled) return Math.round((new Date(actual) - new Date(scheduled)) / 60000);
+    }
+    return null;
+  },
+
+  /**
+   * A train's current delay in minutes: the next stop's estimate, else the
+   * last stop it served. GTFS-RT trains already carry delayMinutes from
+   * their TripUpdate. null when there's no schedule data.
+   */
+  getDelayMinutes(train) {
+    if (typeof train.delayMinutes === 'number') return train.delayMinutes;
+
+    const stations = train.stations || [];
+    const next = stations.find(s => s.status !== 'Departed' && this.getStopDelay(s) !== null);
+    if (next) return this.getStopDelay(next);
+    const passed = stations.filter(s => this.getStopDelay(s) !== null).pop();
+    return passed ? this.getStopDelay(passed) : null;
+  },
+
+  /**
+   * Status key for a delay in minutes (early, onTime, minor, major or unknown)
+   */
+  classifyDelay(minutes) {
+    if (minutes === null || minutes === undefined) return 'unknown';
+    if (minutes <= -this.EARLY_MINUTES) return 'early';
+    if (minutes <= this.ON_TIME_MINUTES) return 'onTime';
+    if (minutes < this.MAJOR_DELAY_MINUTES) return 'minor';
+    return 'major';
+  },
+
+  /**
+   * Structured on-time status for a train (or history entry)
+   * @returns {{key: string, label: string, color: string, delayMinutes: number|null}}
+   *   key is one of STATUSES; label includes the minutes when known
+   */
+  getStatus(train) {
+    const delayMinutes = this.getDelayMinutes(train);
+    const state = (train.trainState || '').toLowerCase();
+
+    let key = this.classifyDelay(delayMinutes);
+    if (train.cancelled || state === 'cancelled') key = 'cancelled';
+    else if (state === 'predeparture') key = 'predeparture';
+
+    // Without schedule data, keep the feed's own wording ("In Transit", ...)
+    const fallback = key === 'unknown' ? train.trainTimely || train.trainState : null;
+    return this.describeStatus(key, delayMinutes, fallback);
+  },
+
+  /**
+   * Label and color for a status key
+   * @param {string} key - One of STATUSES
+   * @param {number|null} [delayMinutes]
+   * @param {string} [fallbackLabel] - Used for unknown status
+   */
+  describeStatus(key, delayMinutes = null, fallbackLabel = null) {
+    const status = this.STATUSES[key] || this.STATUSES.unknown;
+    let label = status.label;
+    if (key === 'early') label = `${-delayMinutes} min early`;
+    if (key === 'minor' || key === 'major') label = `${delayMinutes} min late`;
+    if (key === 'unknown' && fallbackLabel) label = fallbackLabel;
+    return { key: this.STATUSES[key] ? key : 'unknown', label, color: status.color, delayMinutes };
+  },
+
+  /**
+   * Fetch and normalize trains (and service alerts) from every enabled provider.
+   * Providers that share a source (e.g. the single Amtraker call that
+   * returns Amtrak, VIA and Brightline) only fetch it once. A failing
+   * provider doesn't sink the others; it's reported in errors instead.
+   * @param {Object} enabled - { providerId: boolean }
+   * @returns {Promise<{trains: Array, alerts: Array, errors: Array, providerCount: number}>}
+   *   Normalized trains and alerts tagged with providerId, plus
+   *   { providerId, label, message } for each provider that failed
+   */
+  async fetchAll(enabled = {}) {
+    const active = this.list().filter(p => this.isEnabled(p.id, enabled));
+
+    const sources = new Map();
+    active.forEach(p => {
+      if (sources.has(p.source)) return;
+      const started = Date.now();
+      sources.set(p.source, p.fetch().then(raw => ({ raw, latency: Date.now() - started })));
+    });
+
+    const settled = await Promise.allSettled(active.map(async p => {
+      const { raw, latency } = await sources.get(p.source);
+      const result = {
+        trains: p.normalize(raw).map(train => ({ ...train, providerId: p.id })),
+        alerts: p.getAlerts ? p.getAlerts(raw).map(alert => ({ ...alert, providerId: p.id })) : []
+      };
+      this.recordSuccess(p.id, latency, result.trains.length);
+      return result;
+    }));
+
+    const results = [];
+    const errors = [];
+    settled.forEach((outcome, i) => {
+      const p = active[i];
+      if (outcome.status === 'fulfilled') {
+        results.push(outcome.value);
+      } else {
+        const message = outcome.reason && outcome.reason.message ? outcome.reason.message : String(outcome.reason);
+        console.warn(`${p.label} fetch failed:`, message);
+        this.recordFailure(p.id, message);
+        errors.push({ providerId: p.id, label: p.label, message });
+      }
+    });
+
+    return {
+      trains: results.flatMap(r => r.trains),
+      alerts: results.flatMap(r => r.alerts),
+      errors,
+      providerCount: active.length
+    };
+  },
+
+  /**
+   * Health record for a provider (created on first use)
+   */
+  getHealth(id) {
+    if (!this.health.has(id)) {
+      this.health.set(id, {
+        lastAttempt: null,
+        lastSuccess: null,
+        latency: null,
+        trainCount: null,
+        consecutiveFailures: 0,
+        lastError: null
+      });
+    }
+    return this.health.get(id);
+  },
+
+  recordSuccess(id, latency, trainCount) {
+    const health = this.getHealth(id);
+    health.lastAttempt = Date.now();
+    health.lastSuccess = health.lastAttempt;
+    health.latency = latency;
+    health.trainCount = trainCount;
+    health.consecutiveFailures = 0;
+  },
+
+  recordFailure(id, message) {
+    const health = this.getHealth(id);
+    health.lastAttempt = Date.now();
+    health.consecutiveFailures++;
+    health.lastError = message;
+  }
+};
+
+window.Providers = Providers;
@@ -0,0 +1,60 @@
+/**
+ * Quiet Hours — the nightly window when polling and alerts pause
+ * Driven by the nightPause, nightStart and nightEnd settings ("HH:MM",
+ * local time), per location via Storage.getLocationSettings. A window
+ * that ends before it starts ("23:00"–"06:00") runs past midnight.
+ * Replays ignore quiet hours.
+ */
+
+const QuietHours = {
+  /**
+   * Whether quiet hours are in effect
+   * @param {Object} settings - Effective settings for a location
+   * @param {number} [time] - Epoch ms
+   */
+  isActive(settings, time = Date.now()) {
+    if (!settings || !settings.nightPause) return false;
+    if (typeof Recorder !== 'undefined' && Recorder.isReplaying()) return false;
+    return this.inWindow(time, settings.nightStart, settings.nightEnd);
+  },
+
+  /**
+   * When the quiet hours in effect end
+   * @returns {Date|null} null when they aren't in effect
+   */
+  endsAt(settings, time = Date.now()) {
+    if (!this.isActive(settings, time)) return null;
+    const end = this.toMinutes(settings.nightEnd);
+    const date = new Date(time);
+    date.setHours(Math.floor(end / 60), end % 60, 0, 0);
+    if (date.getTime() <= time) date.setDate(date.getDate() + 1);
+    return date;
+  },
+
+  /**
+   * Whether a time falls between two "HH:MM" times; a start after the end
+   * wraps past midnight, and equal times are an empty window
+   * @param {number} time - Epoch ms
+   */
+  inWindow(time, start, end) {
+    const from = this.toMinutes(start);
+    const to = this.toMinutes(end);
+    if (from === null || to === null) return false;
+
+    const date = new Date(time);
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    return from <= to
+      ? minutes >= from && minutes < to
+      : minutes >= from || minutes < to;
+  },
+
+  /**
+   * Minutes since midnight for "HH:MM", or null if it isn't one
+   */
+  toMinutes(hhmm) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(hhmm || '').trim());
+    return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+  }
+};
+
+window.QuietHours = QuietHours;
@@ -0,0 +1,185 @@
+/**
+ * Recorder — record raw API responses and replay them later
+ * While recording, every response that comes through Http (Amtraker JSON,
+ * GTFS-RT protobuf) is saved with its timestamp in IndexedDB. Replay
+ * answers Http requests from a recording instead of the network, on a
+ * virtual clock that runs at real or accelerated speed, so the tracker,
+ * map and history behave exactly as they did live.
+ */
+
+const Recorder = {
+  RECORDINGS: 'recordings', // id -> { id, name, startedAt, endedAt, count, bytes }
+  RESPONSES: 'responses', // "<id>:<seq>" -> { url, t, status, contentType, body }
+
+  recording: null,
+  seq: 0,
+
+  // { recording, byUrl: Map url -> [response...] sorted by t, startedAt, speed }
+  replay: null,
+
+  /**
+   * Start recording API responses
+   * @param {string} [name] - Label shown in the recordings list
+   */
+  async start(name) {
+    if (this.recording) return this.recording;
+    if (this.replay) throw new Error('Stop the replay before recording');
+
+    const now = Date.now();
+    this.recording = {
+      id: `rec-${now.toString(36)}`,
+      name: name || new Date(now).toLocaleString(),
+      startedAt: now,
+      endedAt: now,
+      count: 0,
+      bytes: 0
+    };
+    this.seq = 0;
+    await Storage.idbPut(this.RECORDINGS, this.recording.id, this.recording);
+    console.log(`⏺️ Recording ${this.recording.id}`);
+    return this.recording;
+  },
+
+  /**
+   * Stop recording and save its summary
+   */
+  async stop() {
+    const recording = this.recording;
+    if (!recording) return null;
+    this.recording = null;
+    recording.endedAt = Date.now();
+    await Storage.idbPut(this.RECORDINGS, recording.id, recording);
+    console.log(`⏹️ Recorded ${recording.count} responses`);
+    return recording;
+  },
+
+  isRecording() {
+    return !!this.recording;
+  },
+
+  /**
+   * Save a response (called by Http for every successful live request).
+   * Reads a clone so the caller can still consume the body.
+   */
+  async capture(url, response) {
+    const recording = this.recording;
+    if (!recording) return;
+
+    try {
+      const body = await response.clone().arrayBuffer();
+      const t = Date.now();
+      const key = `${recording.id}:${String(this.seq++).padStart(8, '0')}`;
+      await Storage.idbPut(this.RESPONSES, key, {
+        url,
+        t,
+        status: response.status,
+        contentType: (response.headers && response.headers.get('Content-Type')) || '',
+        body
+      });
+
+      recording.count++;
+      recording.bytes += body.byteLength;
+      recording.endedAt = t;
+      await Storage.idbPut(this.RECORDINGS, recording.id, recording);
+    } catch (e) {
+      console.warn('Recorder failed to save response:', e.message);
+    }
+  },
+
+  /**
+   * All saved recordings, newest first
+   */
+  async list() {
+    const recordings = await Storage.idbGetAll(this.RECORDINGS);
+    return recordings.sort((a, b) => b.startedAt - a.startedAt);
+  },
+
+  /**
+   * Delete a recording and its responses
+   */
+  async remove(id) {
+    await Storage.idbDelete(this.RESPONSES, this.keyRange(id));
+    await Storage.idbDelete(this.RECORDINGS, id);
+  },
+
+  keyRange(id) {
+    return IDBKeyRange.bound(`${id}:`, `${id}:\uffff`);
+  },
+
+  /**
+   * Start answering Http requests from a recording
+   * @param {string} id - Recording id
+   * @param {number} [speed] - 1 = real time, 10 = ten times faster
+   */
+  async startReplay(id, speed = 1) {
+    if (this.recording) throw new Error('Stop recording before replaying');
+
+    const recording = await Storage.idbGet(this.RECORDINGS, id);
+    if (!recording) throw new Error('Recording not found');
+
+    const responses = await Storage.idbGetAll(this.RESPONSES, this.keyRange(id));
+    if (responses.length === 0) throw new Error('Recording is empty');
+
+    const byUrl = new Map();
+    responses.forEach(r => {
+      if (!byUrl.has(r.url)) byUrl.set(r.url, []);
+      byUrl.get(r.url).push(r);
+    });
+    byUrl.forEach(list => list.sort((a, b) => a.t - b.t));
+
+    this.replay = { recording, byUrl, startedAt: Date.now(), speed };
+    console.log(`▶️ Replaying ${recording.name} at ${speed}×`);
+    return recording;
+  },
+
+  stopReplay() {
+    this.replay = null;
+  },
+
+  isReplaying() {
+    return !!this.replay;
+  },
+
+  /**
+   * Current time: the recording's clock during replay, else the real one
+   */
+  now() {
+    if (!this.replay) return Date.now();
+    return this.replay.recording.startedAt + (Date.now() - this.replay.startedAt) * this.replay.speed;
+  },
+
+  /**
+   * Whether replay has run past the end of the recording
+   */
+  isFinished() {
+    return !!this.replay && this.now() > this.replay.recording.endedAt;
+  },
+
+  /**
+   * Answer a request from the recording: the latest response for the URL
+   * at or before the replay clock (or the first one, early in the replay)
+   * @returns {Response}
+   */
+  respond(url) {
+    const list = this.replay.byUrl.get(url);
+    if (!list) {
+      const err = new Error(`Not in recording: ${url}`);
+      err.status = 404;
+      throw err;
+    }
+
+    const now = this.now();
+    let match = list[0];
+    for (const r of list) {
+      if (r.t > now) break;
+      match = r;
+    }
+
+    return new Response(match.body, {
+      status: match.status,
+      headers: match.contentType ? { 'Content-Type': match.contentType } : {}
+    });
+  }
+};
+
+window.Recorder = Recorder;
@@ -0,0 +1,214 @@
+/**
+ * Route Geometry — track polylines for along-the-track distances
+ * Lines come from imported GeoJSON files (LineString / MultiLineString
+ * features, matched to trains by route name) and from the shapes in
+ * imported static GTFS (matched by the trip's shape_id). Imported files
+ * are cached in IndexedDB.
+ */
+
+const RouteGeometry = {
+  STORE: 'routes',
+  NAME_PROPERTIES: ['name', 'NAME', 'route', 'ROUTE', 'route_name', 'routeName', 'route_long_name'],
+
+  // id -> { id, fileName, importedAt, lines: [{ name, points: [[lat, lon]...] }] }
+  collections: new Map(),
+
+  // Prepared lines: normalized route name -> [line...], "provider:shape" -> line
+  byName: new Map(),
+  byShape: new Map(),
+
+  /**
+   * Load every imported collection from IndexedDB
+   */
+  async init() {
+    try {
+      const all = await Storage.idbGetAll(this.STORE);
+      all.forEach(c => this.collections.set(c.id, c));
+      this.index();
+      if (all.length > 0) console.log(`🛤️ Loaded ${this.byName.size} route lines`);
+    } catch (e) {
+      console.warn('Route geometry cache unavailable:', e.message);
+    }
+  },
+
+  /**
+   * Import a GeoJSON file of route lines
+   * @param {File|Blob} file - FeatureCollection, Feature or bare geometry
+   * @returns {Promise<Object>} Summary { id, fileName, importedAt, lines, routes }
+   */
+  async importGeoJSON(file) {
+    let geojson;
+    try {
+      geojson = JSON.parse(await file.text());
+    } catch {
+      throw new Error('Not a GeoJSON file');
+    }
+
+    const lines = this.extractLines(geojson);
+    if (lines.length === 0) throw new Error('No named LineString features found');
+
+    const importedAt = Date.now();
+    const collection = {
+      id: `geo-${importedAt.toString(36)}`,
+      fileName: file.name || 'routes.geojson',
+      importedAt,
+      lines
+    };
+
+    await Storage.idbPut(this.STORE, collection.id, collection);
+    this.collections.set(collection.id, collection);
+    this.index();
+
+    return this.summarize(collection);
+  },
+
+  /**
+   * Forget an imported collection
+   */
+  async remove(id) {
+    this.collections.delete(id);
+    this.index();
+    await Storage.idbDelete(this.STORE, id);
+  },
+
+  /**
+   * Counts for the settings list
+   */
+  summarize(collection) {
+    return {
+      id: collection.id,
+      fileName: collection.fileName,
+      importedAt: collection.importedAt,
+      lines: collection.lines.length,
+      routes: new Set(collection.lines.map(l => this.normalizeName(l.name))).size
+    };
+  },
+
+  /**
+   * Named line parts of a GeoJSON object, as [lat, lon] points.
+   * Each MultiLineString part becomes its own line so gaps aren't bridged.
+   */
+  extractLines(geojson) {
+    const features = geojson.type === 'FeatureCollection' ? geojson.features || []
+      : geojson.type === 'Feature' ? [geojson]
+        : [{ type: 'Feature', properties: {}, geometry: geojson }];
+
+    const lines = [];
+    features.forEach(feature => {
+      const props = feature.properties || {};
+      const nameKey = this.NAME_PROPERTIES.find(k => typeof props[k] === 'string' && props[k].trim());
+      const geometry = feature.geometry;
+      if (!nameKey || !geometry) return;
+
+      const parts = geometry.type === 'LineString' ? [geometry.coordinates]
+        : geometry.type === 'MultiLineString' ? geometry.coordinates : [];
+
+      parts.forEach(coords => {
+        const points = (coords || [])
+          .filter(c => Array.isArray(c) && isFinite(c[0]) && isFinite(c[1]))
+          .map(([lon, lat]) => [Math.round(lat * 1e5) / 1e5, Math.round(lon * 1e5) / 1e5]);
+        if (points.length >= 2) lines.push({ name: props[nameKey].trim(), points });
+      });
+    });
+    return lines;
+  },
+
+  /**
+   * Rebuild the route-name index from the imported collections
+   */
+  index() {
+    this.byName.clear();
+    this.collections.forEach(collection => {
+      collection.lines.forEach(line => {
+        const key = this.normalizeName(line.name);
+        if (!this.byName.has(key)) this.byName.set(key, []);
+        this.byName.get(key).push(this.prepare(line.points));
+      });
+    });
+  },
+
+  normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  },
+
+  /**
+   * Precompute cumulative miles along a line
+   * @returns {{points: Array, cumulative: Array<number>, length: number}}
+   */
+  prepare(points) {
+    const cumulative = [0];
+    for (let i = 1; i < points.length; i++) {
+      cumulative.push(cumulative[i - 1] + AmtrakerClient.haversineDistance(
+        points[i - 1][0], points[i - 1][1], points[i][0], points[i][1]));
+    }
+    return { points, cumulative, length: cumulative[cumulative.length - 1] };
+  },
+
+  /**
+   * The track a train runs on: its GTFS shape, else an imported line with
+   * its route name (the part nearest the train when there are several)
+   * @returns {Object|null} Prepared line
+   */
+  getLine(train) {
+    if (train.shapeId && train.providerId) {
+      const key = `${train.providerId}:${train.shapeId}`;
+      if (!this.byShape.has(key)) {
+        const ds = GtfsStatic.datasets.get(train.providerId);
+        const points = ds && ds.shapes[train.shapeId];
+        this.byShape.set(key, points && points.length >= 2 ? this.prepare(points) : null);
+      }
+      const shape = this.byShape.get(key);
+      if (shape) return shape;
+    }
+
+    const candidates = this.byName.get(this.normalizeName(train.routeName));
+    if (!candidates) return null;
+    if (candidates.length === 1) return candidates[0];
+
+    let best = null;
+    candidates.forEach(line => {
+      const offset = this.project(line, train.lat, train.lon).offset;
+      if (!best || offset < best.offset) best = { line, offset };
+    });
+    return best.line;
+  },
+
+  /**
+   * Nearest point on a line to (lat, lon)
+   * @returns {{along: number, offset: number, bearing: number}}
+   *   along: miles from the line's start; offset: miles off the line;
+   *   bearing: direction of the line (toward increasing along) there
+   */
+  project(line, lat, lon) {
+    const points = line.points;
+    let best = null;
+
+    for (let i = 0; i < points.length - 1; i++) {
+      const a = Location.toLocalMiles(points[i][0], points[i][1], lat, lon);
+      const b = Location.toLocalMiles(points[i + 1][0], points[i + 1][1], lat, lon);
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const lengthSq = dx * dx + dy * dy;
+      const t = lengthSq > 0 ? Math.min(1, Math.max(0, -(a.x * dx + a.y * dy) / lengthSq)) : 0;
+      const offset = Math.hypot(a.x + dx * t, a.y + dy * t);
+      if (!best || offset < best.offset) best = { i, t, offset };
+    }
+
+    const { i, t, offset } = best;
+    const segment = line.cumulative[i + 1] - line.cumulative[i];
+    return {
+      along: line.cumulative[i] + segment * t,
+      offset,
+      bearing: Location.getBearingDegrees(points[i][0], points[i][1], points[i + 1][0], points[i + 1][1])
+    };
+  },
+
+  /**
+   * Forget cached GTFS shapes (after a static GTFS import or removal)
+   */
+  clearShapes() {
+    this.byShape.clear();
+  }
+};
+
+window.RouteGeometry = RouteGeometry;
@@ -0,0 +1,122 @@
+/**
+ * Service Alerts
+ * Filters GTFS-RT Alert entities down to the ones that matter for the
+ * active location (routes and stops of trains nearby) and remembers
+ * which alerts the user has dismissed
+ */
+
+const ServiceAlerts = {
+  DISMISS_KEY: 'nt_dismissed_alerts',
+  DISMISS_TTL: 7 * 86400000, // forget dismissals after a week
+
+  // GTFS-RT Alert.Effect enum → short label
+  EFFECTS: {
+    1: 'No Service',
+    2: 'Reduced Service',
+    3: 'Significant Delays',
+    4: 'Detour',
+    5: 'Additional Service',
+    6: 'Modified Service',
+    7: 'Other Effect',
+    9: 'Stop Moved',
+    10: 'No Effect',
+    11: 'Accessibility Issue'
+  },
+
+  /**
+   * Stable id for an alert (entity ids are only unique within one feed)
+   */
+  getId(alert) {
+    return `${alert.providerId}:${alert.entityId}`;
+  },
+
+  /**
+   * Whether an alert is in effect right now (no periods = always)
+   */
+  isActive(alert, now = Date.now()) {
+    if (!alert.activePeriods || alert.activePeriods.length === 0) return true;
+    return alert.activePeriods.some(p =>
+      (!p.start || p.start <= now) && (!p.end || now <= p.end)
+    );
+  },
+
+  /**
+   * Keep active, undismissed alerts that touch a route, trip or stop of a
+   * train near the location, or that apply to a whole agency with trains nearby
+   * @param {Array} alerts - From Providers.fetchAll, tagged with providerId
+   * @param {Array} trains - Trains with distance already computed
+   * @param {number} radius - Detection radius in miles
+   */
+  filterRelevant(alerts, trains, radius) {
+    const dismissed = this.getDismissed();
+    const nearby = trains.filter(t => t.distance <= radius * 2);
+
+    const routes = new Set();
+    const trips = new Set();
+    const stops = new Set();
+    const providers = new Set();
+    nearby.forEach(t => {
+      providers.add(t.providerId);
+      if (t.routeId) routes.add(`${t.providerId}:${t.routeId}`);
+      if (t.tripId) trips.add(`${t.providerId}:${t.tripId}`);
+      (t.stations || []).forEach(s => stops.add(`${t.providerId}:${s.code}`));
+    });
+
+    return alerts.filter(alert => {
+      if (dismissed[this.getId(alert)] || !this.isActive(alert)) return false;
+      if (!alert.header && !alert.description) return false;
+
+      const p = alert.providerId;
+      return alert.informedEntities.some(e => {
+        if (e.routeId && routes.has(`${p}:${e.routeId}`)) return true;
+        if (e.tripId && trips.has(`${p}:${e.tripId}`)) return true;
+        if (e.stopId && stops.has(`${p}:${e.stopId}`)) return true;
+        // Agency-wide alert (no route, trip or stop)
+        return !e.routeId && !e.tripId && !e.stopId && providers.has(p);
+      });
+    });
+  },
+
+  /**
+   * Dismissed alert ids → dismissal time, pruned to DISMISS_TTL
+   */
+  getDismissed() {
+    try {
+      const dismissed = JSON.parse(localStorage.getItem(this.DISMISS_KEY)) || {};
+      const cutoff = Date.now() - this.DISMISS_TTL;
+      Object.keys(dismissed).forEach(id => {
+        if (dismissed[id] < cutoff) delete dismissed[id];
+      });
+      return dismissed;
+    } catch {
+      return {};
+    }
+  },
+
+  /**
+   * Hide an alert until it is no longer in the feed (or a week passes)
+   */
+  dismiss(alert) {
+    const dismissed = this.getDismissed();
+    dismissed[this.getId(alert)] = Date.now();
+    localStorage.setItem(this.DISMISS_KEY, JSON.stringify(dismissed));
+  },
+
+  /**
+   * Human-readable active period, e.g. "until 11:30 PM" or "Mar 4 – Mar 9"
+   */
+  formatPeriod(alert, now = Date.now()) {
+    const period = (alert.activePeriods || []).find(p =>
+      (!p.start || p.start <= now) && (!p.end || now <= p.end)
+    );
+    if (!period || !period.end) return '';
+
+    const end = new Date(period.end);
+    const sameDay = end.toDateString() === new Date(now).toDateString();
+    return sameDay
+      ? `until ${end.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`
+      : `until ${end.toLocaleDateString([], { month: 'short', day: 'numeric' })}`;
+  }
+};
+
+window.ServiceAlerts = ServiceAlerts;
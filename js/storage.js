@@ -1,6 +1,7 @@
 /**
  * Storage Manager - localStorage wrapper for Dick Wallner Train Tracker
- * Stores locations, settings, and train spotting history
+ * Stores locations, settings, the watchlist, alert rules and train spotting history.
+ * Large blobs (static GTFS, route lines, recorded API responses) go to IndexedDB via the idb* helpers.
  */
 
 const Storage = {
@@ -10,43 +11,48 @@ const Storage = {
     ACTIVE_LOCATION: 'nt_active_location',
     HISTORY: 'nt_history',
     SESSION: 'nt_session',
-    FIRST_VISIT: 'nt_visited'
+    FIRST_VISIT: 'nt_visited',
+    WATCHLIST: 'nt_watchlist',
+    ALERT_RULES: 'nt_alert_rules',
+    API_OVERRIDES: 'nt_api_overrides'
   },
 
   // Settings
+  getDefaultSettings() {
+    return {
+      refreshInterval: 60,
+      radius: 10,
+      nightPause: false,
+      nightStart: '23:00',
+      nightEnd: '06:00',
+      providers: Providers.getDefaults(),
+      customFeeds: [],
+      notifications: {
+        enabled: false,
+        entered: true, // a train enters the radius
+        passing: true, // a train will pass within passMinutes
+        passMinutes: 5,
+        watched: true, // a watched train's status changes
+        providers: {} // providerId -> false to mute it
+      },
+      notify: true // per-location switch for notifications (see getLocationSettings)
+    };
+  },
+
   getSettings() {
+    const defaults = this.getDefaultSettings();
     try {
       const stored = localStorage.getItem(this.KEYS.SETTINGS);
-      const defaults = {
-        refreshInterval: 60,
-        radius: 10,
-        nightPause: false,
-        nightStart: '23:00',
-        nightEnd: '06:00',
-        providers: {
-          amtrak: true,
-          via: true,
-          brightline: true,
-          lirr: true,
-          metroNorth: true
-        }
-      };
       if (stored) {
         const parsed = JSON.parse(stored);
         // Merge provider defaults so new providers are enabled
-        if (parsed.providers) parsed.providers = { ...defaults.providers, ...parsed.providers };
+        parsed.providers = { ...defaults.providers, ...(parsed.providers || {}) };
+        parsed.notifications = { ...defaults.notifications, ...(parsed.notifications || {}) };
         return { ...defaults, ...parsed };
       }
       return defaults;
     } catch {
-      return {
-        refreshInterval: 60,
-        radius: 10,
-        nightPause: false,
-        nightStart: '23:00',
-        nightEnd: '06:00',
-        providers: { amtrak: true, via: true, brightline: true, lirr: true, metroNorth: true }
-      };
+      return defaults;
     }
   },
 
@@ -54,6 +60,23 @@ const Storage = {
     localStorage.setItem(this.KEYS.SETTINGS, JSON.stringify(settings));
   },
 
+  // Custom GTFS-RT feeds (kept inside settings)
+  addCustomFeed(name, url, color) {
+    const settings = this.getSettings();
+    const feed = { id: `custom-${Date.now().toString(36)}`, name, url, color };
+    settings.customFeeds = [...settings.customFeeds, feed];
+    settings.providers[feed.id] = true;
+    this.saveSettings(settings);
+    return feed;
+  },
+
+  removeCustomFeed(id) {
+    const settings = this.getSettings();
+    settings.customFeeds = settings.customFeeds.filter(f => f.id !== id);
+    delete settings.providers[id];
+    this.saveSettings(settings);
+  },
+
   // Locations
   getLocations() {
     try {
@@ -63,26 +86,96 @@ const Storage = {
     }
   },
 
-  saveLocation(name, lat, lon, radius = 10) {
+  /**
+   * Save a location. Without a radius it follows the global setting.
+   * @param {number} [radius] - Radius for this location only (miles)
+   */
+  saveLocation(name, lat, lon, radius) {
     const locations = this.getLocations();
-    const existing = locations.findIndex(l => l.name === name);
-    const location = { name, lat, lon, radius, savedAt: Date.now() };
+    let location = locations.find(l => l.name === name);
 
-    if (existing >= 0) {
-      locations[existing] = location;
+    if (location) {
+      // Keep what else is stored on the location (profile, geofences)
+      Object.assign(location, { lat, lon, savedAt: Date.now() });
     } else {
+      location = { name, lat, lon, savedAt: Date.now() };
       locations.push(location);
     }
+    if (radius) location.profile = { ...location.profile, radius };
 
     localStorage.setItem(this.KEYS.LOCATIONS, JSON.stringify(locations));
     return location;
   },
 
+  /**
+   * Settings in effect at a location: the global settings with the
+   * location's profile (radius, providers, refreshInterval, nightPause,
+   * nightStart, nightEnd, notify, alertRules) on top. alertRules lists the
+   * ids of the rules that run there; without it every rule does. A radius
+   * stored on the location itself by older versions was never applied, so
+   * it is ignored here and dropped when the profile is next saved.
+   * @param {Object|null} location - Saved location
+   */
+  getLocationSettings(location) {
+    const settings = this.getSettings();
+    if (!location) return settings;
+
+    const profile = location.profile || {};
+    return {
+      ...settings,
+      ...profile,
+      providers: { ...settings.providers, ...(profile.providers || {}) }
+    };
+  },
+
+  /**
+   * Replace a location's profile; empty fields fall back to the global settings
+   * @param {string} name
+   * @param {Object} profile - Overrides, e.g. { radius: 5, providers: {...} }
+   */
+  saveLocationProfile(name, profile) {
+    const locations = this.getLocations();
+    const location = locations.find(l => l.name === name);
+    if (!location) return;
+
+    const cleaned = {};
+    Object.entries(profile).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') cleaned[key] = value;
+    });
+    location.profile = cleaned;
+    delete location.radius;
+    localStorage.setItem(this.KEYS.LOCATIONS, JSON.stringify(locations));
+  },
+
   deleteLocation(name) {
     const locations = this.getLocations().filter(l => l.name !== name);
     localStorage.setItem(this.KEYS.LOCATIONS, JSON.stringify(locations));
   },
 
+  /**
+   * Add or replace a geofence on a saved location
+   * @param {string} locationName
+   * @param {Object} fence - From Geofences.create
+   */
+  saveGeofence(locationName, fence) {
+    const locations = this.getLocations();
+    const location = locations.find(l => l.name === locationName);
+    if (!location) return null;
+
+    location.geofences = [...(location.geofences || []).filter(f => f.id !== fence.id), fence];
+    localStorage.setItem(this.KEYS.LOCATIONS, JSON.stringify(locations));
+    return fence;
+  },
+
+  removeGeofence(locationName, id) {
+    const locations = this.getLocations();
+    const location = locations.find(l => l.name === locationName);
+    if (!location) return;
+
+    location.geofences = (location.geofences || []).filter(f => f.id !== id);
+    localStorage.setItem(this.KEYS.LOCATIONS, JSON.stringify(locations));
+  },
+
   getActiveLocation() {
     const name = localStorage.getItem(this.KEYS.ACTIVE_LOCATION);
     if (!name) return null;
@@ -102,51 +195,66 @@ const Storage = {
     }
   },
 
-  addSpotting(train) {
+  /**
+   * Log a sighting, merging with today's entry for the same train and location
+   * @param {number} [time] - When it was seen (replay time during replays)
+   * @returns {Object|null} The new entry, or null if it updated an existing one
+   */
+  addSpotting(train, time = Date.now()) {
     const history = this.getHistory();
 
     // Check if we already spotted this exact train today
-    const today = new Date().toDateString();
+    const today = new Date(time).toDateString();
     const existing = history.findIndex(h =>
       h.trainID === train.trainID &&
       new Date(h.firstSeen).toDateString() === today &&
-      h.locationName === train.locationName
+      h.locationName === train.locationName &&
+      !!h.replay === !!train.replay
     );
 
+    let entry = null;
     if (existing >= 0) {
       // Update closest approach if this one is closer
-      if (train.distance < history[existing].closestDistance) {
-        history[existing].closestDistance = train.distance;
-        history[existing].closestTime = Date.now();
+      if (train.closestDistance < history[existing].closestDistance) {
+        history[existing].closestDistance = train.closestDistance;
+        history[existing].closestTime = train.closestTime;
       }
-      history[existing].lastSeen = Date.now();
+      history[existing].lastSeen = time;
+      history[existing].delayMinutes = train.delayMinutes;
+      history[existing].status = train.status;
       history[existing].sightings = (history[existing].sightings || 1) + 1;
     } else {
-      history.push({
+      entry = {
         trainID: train.trainID,
         trainNum: train.trainNum,
         routeName: train.routeName,
         provider: train.provider,
+        providerId: train.providerId,
         origName: train.origName,
         destName: train.destName,
         locationName: train.locationName,
-        closestDistance: train.distance,
-        closestTime: Date.now(),
+        closestDistance: train.closestDistance,
+        closestTime: train.closestTime,
         speed: train.velocity,
         heading: train.heading,
-        firstSeen: Date.now(),
-        lastSeen: Date.now(),
-        sightings: 1
-      });
+        delayMinutes: train.delayMinutes,
+        status: train.status,
+        firstSeen: time,
+        lastSeen: time,
+        sightings: 1,
+        ...(train.replay ? { replay: true } : {})
+      };
+      history.push(entry);
     }
 
     // Keep last 500 entries max
     const trimmed = history.slice(-500);
     localStorage.setItem(this.KEYS.HISTORY, JSON.stringify(trimmed));
+    return entry;
   },
 
-  getTodayHistory(locationName = null) {
-    const today = new Date().toDateString();
+  getTodayHistory(locationName = null, time = Date.now()) {
+    const today = new Date(time).toDateString();
     return this.getHistory().filter(h => {
       const isToday = new Date(h.firstSeen).toDateString() === today;
       if (locationName) return isToday && h.locationName === locationName;
@@ -154,6 +262,17 @@ const Storage = {
     });
   },
 
+  /**
+   * Drop spottings logged while replaying a recording
+   */
+  removeReplaySpottings() {
+    const history = this.getHistory();
+    const kept = history.filter(h => !h.replay);
+    if (kept.length !== history.length) {
+      localStorage.setItem(this.KEYS.HISTORY, JSON.stringify(kept));
+    }
+  },
+
   clearHistory(all = false) {
     if (all) {
       localStorage.removeItem(this.KEYS.HISTORY);
@@ -182,6 +301,60 @@ const Storage = {
     localStorage.setItem(this.KEYS.FIRST_VISIT, Date.now().toString());
   },
 
+  // Watchlist (see Watchlist)
+  getWatchlist() {
+    try {
+      return JSON.parse(localStorage.getItem(this.KEYS.WATCHLIST)) || [];
+    } catch {
+      return [];
+    }
+  },
+
+  /**
+   * Add a watchlist entry unless the same train or route is already watched
+   * @returns {Object|null} The entry, or null if it was a duplicate
+   */
+  addToWatchlist(entry) {
+    const watchlist = this.getWatchlist();
+    const key = (e) => `${e.type}:${e.value.toLowerCase()}`;
+    if (watchlist.some(e => key(e) === key(entry))) return null;
+
+    watchlist.push(entry);
+    localStorage.setItem(this.KEYS.WATCHLIST, JSON.stringify(watchlist));
+    return entry;
+  },
+
+  removeFromWatchlist(id) {
+    const watchlist = this.getWatchlist().filter(e => e.id !== id);
+    localStorage.setItem(this.KEYS.WATCHLIST, JSON.stringify(watchlist));
+  },
+
+  // Alert rules (see AlertRules)
+  getAlertRules() {
+    try {
+      return JSON.parse(localStorage.getItem(this.KEYS.ALERT_RULES)) || [];
+    } catch {
+      return [];
+    }
+  },
+
+  /**
+   * Add a rule, or replace the one with the same id
+   */
+  saveAlertRule(rule) {
+    const rules = this.getAlertRules();
+    const index = rules.findIndex(r => r.id === rule.id);
+    if (index >= 0) rules[index] = rule;
+    else rules.push(rule);
+    localStorage.setItem(this.KEYS.ALERT_RULES, JSON.stringify(rules));
+    return rule;
+  },
+
+  removeAlertRule(id) {
+    const rules = this.getAlertRules().filter(r => r.id !== id);
+    localStorage.setItem(this.KEYS.ALERT_RULES, JSON.stringify(rules));
+  },
+
   // Export/Import
   exportData() {
     return JSON.stringify({
@@ -189,6 +362,8 @@ const Storage = {
       locations: this.getLocations(),
       activeLocation: localStorage.getItem(this.KEYS.ACTIVE_LOCATION),
       history: this.getHistory(),
+      watchlist: this.getWatchlist(),
+      alertRules: this.getAlertRules(),
       exportedAt: new Date().toISOString(),
       version: '1.0.0'
     }, null, 2);
@@ -200,6 +375,89 @@ const Storage = {
     if (parsed.locations) localStorage.setItem(this.KEYS.LOCATIONS, JSON.stringify(parsed.locations));
     if (parsed.activeLocation) localStorage.setItem(this.KEYS.ACTIVE_LOCATION, parsed.activeLocation);
     if (parsed.history) localStorage.setItem(this.KEYS.HISTORY, JSON.stringify(parsed.history));
+    if (parsed.watchlist) localStorage.setItem(this.KEYS.WATCHLIST, JSON.stringify(parsed.watchlist));
+    if (parsed.alertRules) localStorage.setItem(this.KEYS.ALERT_RULES, JSON.stringify(parsed.alertRules));
+  },
+
+  /**
+   * API base URL overrides for testing against the mock server, e.g.
+   * { amtraker: 'http://localhost:8081/v3', feeds: { lirr: '...', metroNorth: '...' } }.
+   * Opening the app with ?mock=<server url> saves overrides for that
+   * server; ?mock=off clears them.
+   */
+  getApiOverrides() {
+    const mock = new URLSearchParams(window.location.search).get('mock');
+    if (mock === 'off') {
+      localStorage.removeItem(this.KEYS.API_OVERRIDES);
+    } else if (mock) {
+      const base = mock.replace(/\/+$/, '');
+      localStorage.setItem(this.KEYS.API_OVERRIDES, JSON.stringify({
+        amtraker: `${base}/v3`,
+        feeds: { lirr: `${base}/gtfs/lirr`, metroNorth: `${base}/gtfs/mnr` }
+      }));
+    }
+
+    try {
+      return JSON.parse(localStorage.getItem(this.KEYS.API_OVERRIDES)) || {};
+    } catch {
+      return {};
+    }
+  },
+
+  // IndexedDB (for data too big for localStorage)
+  DB_NAME: 'nearby-trains',
+  DB_VERSION: 3,
+  DB_STORES: ['gtfs', 'recordings', 'responses', 'routes'],
+  _db: null,
+
+  openDB() {
+    if (this._db) return this._db;
+    this._db = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+      request.onupgradeneeded = () => {
+        this.DB_STORES.forEach(name => {
+          if (!request.result.objectStoreNames.contains(name)) {
+            request.result.createObjectStore(name);
+          }
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    this._db.catch(() => { this._db = null; });
+    return this._db;
+  },
+
+  async idbRequest(store, mode, fn) {
+    const db = await this.openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(store, mode);
+      const request = fn(tx.objectStore(store));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  },
+
+  idbGet(store, key) {
+    return this.idbRequest(store, 'readonly', s => s.get(key));
+  },
+
+  idbGetAll(store, query) {
+    return this.idbRequest(store, 'readonly', s => s.getAll(query));
+  },
+
+  idbPut(store, key, value) {
+    return this.idbRequest(store, 'readwrite', s => s.put(value, key));
+  },
+
+  // key may also be an IDBKeyRange
+  idbDelete(store, key) {
+    return this.idbRequest(store, 'readwrite', s => s.delete(key));
   },
 
   clearAll() {
@@ -1,18 +1,57 @@
 /**
  * Train Tracker
  * Manages train state, nearby detection, closest approach tracking,
- * and spotting log entries
+ * and spotting log entries. Other modules react to what happens through
+ * Tracker.on(event, handler); see EVENTS.
  */
 
 const Tracker = {
   // Current state
-  currentTrains: [],
+  currentTrains: [], // processed for the active location
+  currentBatch: [], // every fetched train, before any location's provider filter
   nearbyTrains: [],
   closestTrain: null,
   nearbyStations: [],
 
   // Previous state for comparison
   previousTrains: new Map(), // trainID -> previous distance
+  previousTrackDistances: new Map(), // trainID -> previous distance along its route line
+  lastPositions: new Map(), // trainID -> { lat, lon, since } of last movement
+  lastFixes: new Map(), // trainID -> { lat, lon, course } for course over ground
+  lastSamples: new Map(), // trainID -> { lat, lon, time } from the previous poll
+
+  // Staleness thresholds
+  STALE_REPORT_MS: 15 * 60000, // train's own lastValTS older than this
+  STALE_POSITION_MS: 30 * 60000, // position unchanged for this long
+
+  // Closest-approach prediction
+  MIN_COURSE_MILES: 0.05, // movement between fixes needed to trust the course over ground
+  APPROACH_HORIZON_MIN: 60, // don't predict further ahead than this
+  MAX_TRACK_OFFSET: 1, // miles off a route line before the train isn't on it
+
+  // Route line -> Map "lat,lon" -> where that location projects onto it
+  userOnLine: new WeakMap(),
+
+  // Events emitted from processTrains. Every payload has { type, time,
+  // location } plus the fields noted; train is the processed train.
+  // "Radius" means the detection zone: the geofences when the location has any.
+  EVENTS: [
+    'train-entered-radius', // { train }
+    'train-left-radius', // { train } last known state; train.inFeed false if it dropped out of the feed
+    'closest-approach', // { train, distance, closestTime } once per visit, after it starts moving away
+    'train-stopped', // { train } inside the radius
+    'train-started', // { train } inside the radius
+    'train-approaching', // { train, approach } each batch while predicted to pass within the radius, until it's inside
+    'train-spotted', // { train, entry } first log entry today at this location
+    'new-train-ever', // { train, entry } train number never in the log before
+    'watched-status-changed', // { train, entry, from, to } a watched train's Providers.getStatus key changed
+    'trains-updated' // { all, nearby, closest, comingSoon, watched, stats } after each batch
+  ],
+  listeners: new Map(), // event (or '*' for all) -> Set of handlers
+  zones: new Map(), // location name -> event state, see getZoneState
+  previousById: new Map(), // trainID -> train from the batch before the current one
+  measuredFrom: null, // { location, radius } the current trains were measured against
+  watchedStatus: new Map(), // trainID -> last Providers.getStatus of a watched train
 
   // Session stats
   session: {
@@ -26,45 +65,80 @@ const Tracker = {
 
   /**
    * Process a fresh batch of train data
-   * @param {Array} trains - All trains from API (already filtered by provider)
+   * @param {Array} trains - All trains from API
    * @param {number} userLat - User's latitude
    * @param {number} userLon - User's longitude
    * @param {number} radius - Detection radius in miles
-   * @returns {Object} { nearby, closest, stats }
-   */
-  processTrains(trains, userLat, userLon, radius) {
-    // Calculate distance for all trains
-    const trainsWithDistance = trains.map(train => ({
-      ...train,
-      distance: AmtrakerClient.haversineDistance(userLat, userLon, train.lat, train.lon),
-      bearing: Location.getBearing(userLat, userLon, train.lat, train.lon),
-      bearingArrow: Location.getBearingArrow(
-        Location.getBearing(userLat, userLon, train.lat, train.lon)
-      )
-    }));
+   * @param {Set} [staleProviders] - Provider ids whose upstream feed is stale
+   * @param {Object} [options]
+   *   geofences: the location's geofences; when there are any, they
+   *     replace the radius for nearby detection and logging
+   *   providers: the location's provider toggles; trains from other
+   *     providers are ignored here but kept for monitorLocation
+   *   watchlist: Storage.getWatchlist() entries to find anywhere in the batch
+   * @returns {Object} { all, nearby, closest, comingSoon, watched, stats }
+   *   comingSoon: trains predicted to pass within the radius, soonest first
+   *   watched: see findWatched
+   */
+  processTrains(trains, userLat, userLon, radius, staleProviders = new Set(), { geofences = [], providers, watchlist = [] } = {}) {
+    const previousById = new Map(this.currentBatch.map(t => [t.trainID, t]));
 
-    // Filter nearby trains
-    const nearby = trainsWithDistance
-      .filter(t => t.distance <= radius)
-      .sort((a, b) => a.distance - b.distance);
+    // Per-train state that doesn't depend on where we're watching from
+    const now = typeof Recorder !== 'undefined' ? Recorder.now() : Date.now();
+    const base = trains.map(train => ({ ...train }));
+    this.trackCourse(base);
+    this.markStale(base, staleProviders);
+    this.trackSamples(base);
+    this.previousById = previousById;
+    this.currentBatch = base;
+
+    const activeLocation = Storage.getActiveLocation();
+    const location = {
+      name: activeLocation ? activeLocation.name : 'Unknown',
+      lat: userLat,
+      lon: userLon,
+      geofences,
+      providers
+    };
+    const { trains: trainsWithDistance, nearby, comingSoon } = this.measure(base, location, radius, now);
 
     // Track closest approach for each train
     nearby.forEach(train => {
       const prevDistance = this.previousTrains.get(train.trainID);
-      const isApproaching = prevDistance !== undefined && train.distance < prevDistance;
-      const isReceding = prevDistance !== undefined && train.distance > prevDistance;
 
-      train.approaching = isApproaching;
-      train.receding = isReceding;
+      if (train.track && train.track.approaching !== null && train.velocity > 0) {
+        // On a known line: toward or away from us along the track, which
+        // straight-line distance gets wrong on curves and loops
+        train.approaching = train.track.approaching;
+        train.receding = !train.track.approaching;
+      } else {
+        train.approaching = prevDistance !== undefined && train.distance < prevDistance;
+        train.receding = prevDistance !== undefined && train.distance > prevDistance;
+      }
 
-      // Closest approach detection
-      if (prevDistance !== undefined && train.distance > prevDistance) {
+      // Closest approach detection, along the track where the line is known
+      const prevTrack = this.previousTrackDistances.get(train.trainID);
+      const [current, previous] = train.track && prevTrack !== undefined
+        ? [train.track.distance, prevTrack]
+        : [train.distance, prevDistance];
+      if (previous !== undefined && current > previous) {
         // Train is now moving away — previous distance was the closest approach
-        train.closestApproach = prevDistance;
+        train.closestApproach = previous;
       }
+    });
+
+    this.emitChanges(trainsWithDistance, nearby, previousById, now, location, comingSoon);
 
-      // Log to spotting history
-      this.logSpotting(train, userLat, userLon);
+    // Log to spotting history everything that came into the zone since
+    // the last poll, even between samples (a frozen position isn't a sighting)
+    trainsWithDistance.forEach(train => {
+      if (train.isStale || !train.passedZone) return;
+      if (this.logSpotting(train, location)) this.session.spotted++;
+
+      if (train.closestPass.distance < this.session.closestDistance) {
+        this.session.closestDistance = train.closestPass.distance;
+        this.session.closestTrain = train;
+      }
     });
 
     // Update previous distances
@@ -72,20 +146,17 @@ const Tracker = {
     trainsWithDistance.forEach(t => {
       this.previousTrains.set(t.trainID, t.distance);
     });
+    this.previousTrackDistances.clear();
+    trainsWithDistance.forEach(t => {
+      if (t.track) this.previousTrackDistances.set(t.trainID, t.track.distance);
+    });
 
     // Find closest train
     const closest = nearby.length > 0 ? nearby[0] : null;
 
     // Update session stats
-    if (closest) {
-      if (closest.distance < this.session.closestDistance) {
-        this.session.closestDistance = closest.distance;
-        this.session.closestTrain = closest;
-      }
-    }
-
     nearby.forEach(t => {
-      if (t.velocity && t.velocity > 0) {
+      if (!t.isStale && t.velocity && t.velocity > 0) {
         this.session.totalSpeed += t.velocity;
         this.session.speedCount++;
       }
@@ -95,28 +166,520 @@ const Tracker = {
     this.currentTrains = trainsWithDistance;
     this.nearbyTrains = nearby;
     this.closestTrain = closest;
+    this.measuredFrom = { location, radius };
 
-    return {
+    const result = {
       all: trainsWithDistance,
       nearby,
       closest,
+      comingSoon,
+      watched: this.findWatched(watchlist),
       stats: this.getStats()
     };
+    this.emit('trains-updated', { ...result, time: now, location: { name: location.name, lat: location.lat, lon: location.lon } });
+    return result;
+  },
+
+  /**
+   * Measure every train against one location: distance and bearing,
+   * distance by rail, predicted approach, closest pass since the last poll
+   * and whether it's in the location's zone
+   * @param {Array} trains - Trains after trackCourse, markStale and trackSamples
+   * @param {Object} location - { name, lat, lon, geofences, providers }
+   *   (providers: toggles by provider id; trains from disabled ones are dropped)
+   * @returns {{trains: Array, nearby: Array, comingSoon: Array}} New train objects;
+   *   comingSoon: trains predicted to pass within the radius, soonest first
+   */
+  measure(trains, location, radius, now) {
+    const { lat, lon } = location;
+    const watched = location.providers
+      ? trains.filter(t => Providers.isEnabled(t.providerId, location.providers))
+      : trains;
+
+    const measured = watched.map(train => {
+      const bearing = Location.getBearing(lat, lon, train.lat, train.lon);
+      const m = {
+        ...train,
+        distance: AmtrakerClient.haversineDistance(lat, lon, train.lat, train.lon),
+        bearing,
+        bearingArrow: Location.getBearingArrow(bearing)
+      };
+      m.closestPass = this.closestPassSince(m, lat, lon);
+
+      // Distance by rail where the route line is known, then predict when
+      // the train will pass closest (null if it won't)
+      m.track = this.trackAlongRoute(m, lat, lon);
+      m.approach = this.predictApproach(m, lat, lon, now);
+      return m;
+    });
+    this.applyZone(measured, radius, location.geofences || []);
+
+    return {
+      trains: measured,
+      nearby: measured.filter(t => t.inZone).sort((a, b) => a.distance - b.distance),
+      comingSoon: measured
+        .filter(t => t.approach && t.approach.distance <= radius)
+        .sort((a, b) => a.approach.minutes - b.approach.minutes)
+    };
+  },
+
+  /**
+   * Watch a saved location other than the active one, using the batch
+   * from the last processTrains: logs its spottings and emits its events
+   * in the background without touching the active location's state
+   * @param {Object} location - Saved location { name, lat, lon, geofences }
+   * @param {Object} settings - Its effective settings (Storage.getLocationSettings)
+   * @returns {{nearby: Array, comingSoon: Array}}
+   */
+  monitorLocation(location, settings) {
+    const now = typeof Recorder !== 'undefined' ? Recorder.now() : Date.now();
+    const { trains, nearby, comingSoon } = this.measure(
+      this.currentBatch, { ...location, providers: settings.providers }, settings.radius, now);
+
+    this.emitChanges(trains, nearby, this.previousById, now, location, comingSoon);
+    trains.forEach(train => {
+      if (!train.isStale && train.passedZone) this.logSpotting(train, location);
+    });
+
+    return { nearby, comingSoon };
+  },
+
+  /**
+   * Find watched trains in the last batch wherever they are, measured from
+   * the active location. Trains from providers the active location doesn't
+   * use are measured too. Marks each found train .watched and emits watched-status-changed.
+   * @param {Array} watchlist - Watchlist entries
+   * @returns {Array} [{ entry, trains }] in watchlist order
+   */
+  findWatched(watchlist) {
+    const matches = watchlist.map(entry => ({
+      entry,
+      trains: this.currentBatch.filter(t => Watchlist.matches(entry, t))
+    }));
+
+    this.currentTrains.forEach(t => { t.watched = false; });
+    const byId = new Map(this.currentTrains.map(t => [t.trainID, t]));
+    const outside = new Map();
+    matches.forEach(({ trains }) => trains.forEach(t => {
+      if (!byId.has(t.trainID)) outside.set(t.trainID, t);
+    }));
+    if (outside.size > 0 && this.measuredFrom) {
+      const { location, radius } = this.measuredFrom;
+      const now = typeof Recorder !== 'undefined' ? Recorder.now() : Date.now();
+      this.measure([...outside.values()], { ...location, providers: null }, radius, now)
+        .trains.forEach(t => byId.set(t.trainID, t));
+    }
+
+    const watched = matches.map(({ entry, trains }) => ({
+      entry,
+      trains: trains
+        .map(t => byId.get(t.trainID))
+        .filter(Boolean)
+        .map(t => Object.assign(t, { watched: true }))
+    }));
+
+    // Status changes since the last batch (a train's first sighting isn't one)
+    const location = this.measuredFrom ? this.measuredFrom.location : { name: 'Unknown' };
+    const base = {
+      time: typeof Recorder !== 'undefined' ? Recorder.now() : Date.now(),
+      location: { name: location.name, lat: location.lat, lon: location.lon }
+    };
+    watched.forEach(({ entry, trains }) => trains.forEach(train => {
+      if (train.isStale) return;
+      const status = Providers.getStatus(train);
+      const from = this.watchedStatus.get(train.trainID);
+      this.watchedStatus.set(train.trainID, status);
+      if (from && from.key !== status.key) this.emit('watched-status-changed', { ...base, train, entry, from, to: status });
+    }));
+    return watched;
+  },
+
+  /**
+   * Subscribe to a tracker event (see EVENTS), or '*' for all of them
+   * @param {string} event
+   * @param {Function} handler - Called with the payload ({ type, ... })
+   * @returns {Function} Unsubscribe
+   */
+  on(event, handler) {
+    if (event !== '*' && !this.EVENTS.includes(event)) throw new Error(`Unknown tracker event: ${event}`);
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(handler);
+    return () => this.off(event, handler);
+  },
+
+  off(event, handler) {
+    const handlers = this.listeners.get(event);
+    if (handlers) handlers.delete(handler);
+  },
+
+  /**
+   * Call every handler for an event. A failing handler is logged and
+   * doesn't stop the others or the refresh.
+   */
+  emit(event, payload = {}) {
+    const message = { type: event, ...payload };
+    [...(this.listeners.get(event) || []), ...(this.listeners.get('*') || [])].forEach(handler => {
+      try {
+        handler(message);
+      } catch (e) {
+        console.error(`Tracker ${event} handler failed:`, e);
+      }
+    });
+  },
+
+  /**
+   * Emit radius, approach, pass and stop/start events by comparing this batch with
+   * the previous one
+   * @param {Array} trains - All processed trains
+   * @param {Array} nearby - Those inside the radius
+   * @param {Map} previousById - trainID -> train from the previous batch
+   * @param {Array} [comingSoon] - Trains predicted to pass within the radius
+   */
+  emitChanges(trains, nearby, previousById, now, location, comingSoon = []) {
+    const base = { time: now, location: { name: location.name, lat: location.lat, lon: location.lon } };
+    const zone = this.getZoneState(location.name);
+    const inside = new Map(nearby.map(t => [t.trainID, t]));
+
+    nearby.forEach(train => {
+      if (!zone.insideRadius.has(train.trainID)) this.emit('train-entered-radius', { ...base, train });
+
+      const prev = previousById.get(train.trainID);
+      if (prev && prev.velocity > 0 && !(train.velocity > 0)) this.emit('train-stopped', { ...base, train });
+      if (prev && !(prev.velocity > 0) && train.velocity > 0) this.emit('train-started', { ...base, train });
+    });
+
+    // Passed its closest point, including trains that zipped through
+    // between polls without a sample inside the radius
+    trains.forEach(train => {
+      const pass = train.closestPass;
+      if (train.isStale || zone.passedTrains.has(train.trainID)) return;
+      if (train.passedZone && pass.time < train.lastUpdate) {
+        zone.passedTrains.add(train.trainID);
+        this.emit('closest-approach', { ...base, train, distance: pass.distance, closestTime: pass.time });
+      }
+    });
+
+    comingSoon.forEach(train => {
+      if (!train.inZone && !train.isStale) this.emit('train-approaching', { ...base, train, approach: train.approach });
+    });
+
+    const current = new Map(trains.map(t => [t.trainID, t]));
+    zone.insideRadius.forEach((last, id) => {
+      if (inside.has(id)) return;
+      const train = current.get(id) || { ...last, inFeed: false };
+      this.emit('train-left-radius', { ...base, train });
+    });
+
+    // A train is due another closest-approach once it's left and come back
+    zone.passedTrains.forEach(id => {
+      const train = current.get(id);
+      if (!train || (!train.inZone && !train.passedZone)) zone.passedTrains.delete(id);
+    });
+
+    zone.insideRadius = inside;
+  },
+
+  /**
+   * Event state for one location: { insideRadius: Map trainID -> train
+   * as of the previous batch, passedTrains: Set of trainIDs whose
+   * closest-approach fired this visit }
+   */
+  getZoneState(locationName) {
+    if (!this.zones.has(locationName)) {
+      this.zones.set(locationName, { insideRadius: new Map(), passedTrains: new Set() });
+    }
+    return this.zones.get(locationName);
+  },
+
+  /**
+   * Set each train's course (degrees): the direction it moved between its
+   * last two distinct fixes, which is finer than the reported 8-point
+   * heading, falling back to the heading until it has moved
+   * @param {Array} trains - Trains from processTrains (mutated)
+   */
+  trackCourse(trains) {
+    const seen = new Set();
+
+    trains.forEach(train => {
+      seen.add(train.trainID);
+      const last = this.lastFixes.get(train.trainID);
+      let course = last ? last.course : null;
+
+      if (!last) {
+        this.lastFixes.set(train.trainID, { lat: train.lat, lon: train.lon, course: null });
+      } else if (AmtrakerClient.haversineDistance(last.lat, last.lon, train.lat, train.lon) >= this.MIN_COURSE_MILES) {
+        course = Location.getBearingDegrees(last.lat, last.lon, train.lat, train.lon);
+        this.lastFixes.set(train.trainID, { lat: train.lat, lon: train.lon, course });
+      }
+
+      train.course = course ?? Location.headingToDegrees(train.heading) ?? null;
+    });
+
+    [...this.lastFixes.keys()].forEach(id => {
+      if (!seen.has(id)) this.lastFixes.delete(id);
+    });
+  },
+
+  /**
+   * Remember each train's position for the next poll and attach the one
+   * from the previous poll as previousSample (null the first time)
+   * @param {Array} trains - Trains from processTrains (mutated, after markStale)
+   */
+  trackSamples(trains) {
+    const seen = new Set();
+
+    trains.forEach(train => {
+      seen.add(train.trainID);
+      train.previousSample = this.lastSamples.get(train.trainID) || null;
+      this.lastSamples.set(train.trainID, { lat: train.lat, lon: train.lon, time: train.lastUpdate });
+    });
+
+    [...this.lastSamples.keys()].forEach(id => {
+      if (!seen.has(id)) this.lastSamples.delete(id);
+    });
+  },
+
+  /**
+   * A train's true closest point to (lat, lon) since the previous poll,
+   * interpolating straight between the two positions at constant speed,
+   * so a train that passes between polls isn't logged at the distance of
+   * whichever sample happened to be nearer
+   * @returns {{distance: number, time: number}}
+   */
+  closestPassSince(train, lat, lon) {
+    const prev = train.previousSample;
+    return prev && train.lastUpdate > prev.time
+      ? this.closestPointOfApproach(prev, { lat: train.lat, lon: train.lon, time: train.lastUpdate }, lat, lon)
+      : { distance: train.distance, time: train.lastUpdate };
+  },
+
+  /**
+   * Mark which trains are in the detection zone — inside a geofence when
+   * the location has any, else within the radius. Sets geofence (name of
+   * the fence it's in), inZone (now) and passedZone (at any point since
+   * the previous poll). Runs after closestPass is set.
+   * @param {Array} trains - Trains from processTrains (mutated)
+   */
+  applyZone(trains, radius, geofences) {
+    trains.forEach(train => {
+      if (geofences.length === 0) {
+        train.geofence = null;
+        train.inZone = train.distance <= radius;
+        train.passedZone = train.closestPass.distance <= radius;
+        return;
+      }
+
+      const fence = Geofences.find(geofences, train.lat, train.lon);
+      const prev = train.previousSample;
+      train.geofence = fence ? fence.name : null;
+      train.inZone = !!fence;
+      train.passedZone = train.inZone || (!!prev && geofences.some(f => Geofences.crosses(f, prev, train)));
+    });
+  },
+
+  /**
+   * Closest approach to (lat, lon) moving in a straight line from one
+   * sample to the next
+   * @param {{lat, lon, time}} from
+   * @param {{lat, lon, time}} to
+   * @returns {{distance: number, time: number}}
+   */
+  closestPointOfApproach(from, to, lat, lon) {
+    const a = Location.toLocalMiles(from.lat, from.lon, lat, lon);
+    const b = Location.toLocalMiles(to.lat, to.lon, lat, lon);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0 ? Math.min(1, Math.max(0, -(a.x * dx + a.y * dy) / lengthSq)) : 1;
+
+    return {
+      distance: Math.hypot(a.x + dx * t, a.y + dy * t),
+      time: from.time + (to.time - from.time) * t
+    };
+  },
+
+  /**
+   * Where a train is along its route line relative to the point on the
+   * line nearest (lat, lon)
+   * @returns {{distance: number, offset: number, approaching: boolean|null, minutes: number|null}|null}
+   *   distance: miles by rail; offset: miles from the line to (lat, lon);
+   *   approaching: null when the direction of travel is unknown;
+   *   minutes: time to get there at the current speed.
+   *   null when the train's line isn't known or the train isn't on it.
+   */
+  trackAlongRoute(train, lat, lon) {
+    if (typeof RouteGeometry === 'undefined') return null;
+    const line = RouteGeometry.getLine(train);
+    if (!line) return null;
+
+    const here = RouteGeometry.project(line, train.lat, train.lon);
+    if (here.offset > this.MAX_TRACK_OFFSET) return null;
+
+    if (!this.userOnLine.has(line)) this.userOnLine.set(line, new Map());
+    const projections = this.userOnLine.get(line);
+    const key = `${lat},${lon}`;
+    if (!projections.has(key)) projections.set(key, RouteGeometry.project(line, lat, lon));
+    const user = projections.get(key);
+
+    const gap = user.along - here.along;
+    let approaching = null;
+    if (typeof train.course === 'number') {
+      const turn = Math.abs(((train.course - here.bearing) % 360 + 540) % 360 - 180);
+      approaching = (turn < 90) === (gap >= 0);
+    }
+
+    return {
+      distance: Math.abs(gap),
+      offset: user.offset,
+      approaching,
+      minutes: approaching && train.velocity > 0 ? Math.abs(gap) / train.velocity * 60 : null
+    };
+  },
+
+  /**
+   * Predict a moving train's closest approach to a point: along its route
+   * line when known, else through its upcoming stops, else straight ahead
+   * on its course
+   * @returns {{minutes: number, distance: number, time: number, method: string}|null}
+   *   null when the train is stopped, stale, heading away or too far out
+   */
+  predictApproach(train, lat, lon, now = Date.now()) {
+    if (train.isStale || !(train.velocity > 0)) return null;
+
+    const path = this.getRoutePath(train);
+    let approach = null;
+    if (train.track && train.track.approaching !== null) {
+      approach = train.track.approaching
+        ? { minutes: train.track.minutes, distance: train.track.offset, method: 'track' }
+        : null;
+    } else if (path) {
+      approach = this.approachAlongPath(path, train.velocity, lat, lon);
+    } else if (typeof train.course === 'number') {
+      approach = this.approachAlongCourse(train, lat, lon);
+    }
+
+    if (!approach || approach.minutes > this.APPROACH_HORIZON_MIN) return null;
+    return { ...approach, time: now + approach.minutes * 60000 };
+  },
+
+  /**
+   * The train's path ahead as [[lat, lon], ...], starting at the train:
+   * its upcoming stops, when they have coordinates (commuter rail with
+   * static GTFS). null when unknown.
+   */
+  getRoutePath(train) {
+    const ahead = (train.stations || [])
+      .filter(s => s.status !== 'Departed' && s.lat && s.lon)
+      .map(s => [s.lat, s.lon]);
+    return ahead.length > 0 ? [[train.lat, train.lon], ...ahead] : null;
+  },
+
+  /**
+   * Closest point of a path to (lat, lon), and the time to reach it
+   * travelling along the path at speed mph
+   */
+  approachAlongPath(path, speed, lat, lon) {
+    const points = path.map(([pLat, pLon]) => Location.toLocalMiles(pLat, pLon, lat, lon));
+    let best = null;
+    let along = 0;
+
+    for (let i = 0; i < points.length - 1; i++) {
+      const a = points[i];
+      const dx = points[i + 1].x - a.x;
+      const dy = points[i + 1].y - a.y;
+      const lengthSq = dx * dx + dy * dy;
+      const length = Math.sqrt(lengthSq);
+      const t = lengthSq > 0 ? Math.min(1, Math.max(0, -(a.x * dx + a.y * dy) / lengthSq)) : 0;
+      const distance = Math.hypot(a.x + dx * t, a.y + dy * t);
+      if (!best || distance < best.distance) best = { distance, along: along + length * t };
+      along += length;
+    }
+
+    // Closest right where the train is: it's passing now or moving away
+    if (!best || best.along < this.MIN_COURSE_MILES) return null;
+    return { minutes: best.along / speed * 60, distance: best.distance, method: 'route' };
+  },
+
+  /**
+   * Closest approach to (lat, lon) holding the current course and speed
+   */
+  approachAlongCourse(train, lat, lon) {
+    const p = Location.toLocalMiles(train.lat, train.lon, lat, lon);
+    const rad = train.course * Math.PI / 180;
+    const vx = Math.sin(rad) * train.velocity;
+    const vy = Math.cos(rad) * train.velocity;
+
+    const hours = -(p.x * vx + p.y * vy) / (vx * vx + vy * vy);
+    if (hours <= 0) return null; // heading away
+
+    return {
+      minutes: hours * 60,
+      distance: Math.hypot(p.x + vx * hours, p.y + vy * hours),
+      method: 'course'
+    };
+  },
+
+  /**
+   * Flag trains whose position can't be trusted as current: the provider's
+   * feed is stale, the train's own report is old, or it hasn't moved in a
+   * long time. Sets isStale, staleReason and lastUpdate (ms) on each train.
+   * @param {Array} trains - Trains from processTrains (mutated)
+   * @param {Set} staleProviders - Provider ids whose upstream feed is stale
+   */
+  markStale(trains, staleProviders, now = typeof Recorder !== 'undefined' ? Recorder.now() : Date.now()) {
+    const seen = new Set();
+
+    trains.forEach(train => {
+      seen.add(train.trainID);
+
+      // Remember when the position last changed
+      const last = this.lastPositions.get(train.trainID);
+      if (!last || last.lat !== train.lat || last.lon !== train.lon) {
+        this.lastPositions.set(train.trainID, { lat: train.lat, lon: train.lon, since: now });
+      }
+      const unmovedSince = this.lastPositions.get(train.trainID).since;
+
+      const reported = train.lastValTS ? new Date(train.lastValTS).getTime() : NaN;
+      train.lastUpdate = isNaN(reported) ? unmovedSince : reported;
+
+      if (staleProviders.has(train.providerId)) {
+        train.staleReason = 'Feed is stale';
+      } else if (!isNaN(reported) && now - reported > this.STALE_REPORT_MS) {
+        train.staleReason = `No update for ${Math.round((now - reported) / 60000)} min`;
+      } else if (now - unmovedSince > this.STALE_POSITION_MS) {
+        train.staleReason = `Hasn't moved in ${Math.round((now - unmovedSince) / 60000)} min`;
+      } else {
+        train.staleReason = null;
+      }
+      train.isStale = !!train.staleReason;
+    });
+
+    // Forget trains that dropped out of the feed
+    [...this.lastPositions.keys()].forEach(id => {
+      if (!seen.has(id)) this.lastPositions.delete(id);
+    });
+
+    return trains;
   },
 
   /**
    * Log a train spotting to storage
+   * @param {Object} train - Measured from location
+   * @param {Object} location - { name, lat, lon }
+   * @returns {Object|null} The log entry when this is the train's first today
    */
-  logSpotting(train, userLat, userLon) {
-    const activeLocation = Storage.getActiveLocation();
-    const locationName = activeLocation ? activeLocation.name : 'Unknown';
+  logSpotting(train, location) {
+    const locationName = location.name;
 
     const spottingData = {
       trainID: train.trainID,
       trainNum: train.trainNum,
       routeName: train.routeName || 'Unknown Route',
       provider: train.provider || 'Amtrak',
+      providerId: train.providerId,
       distance: train.distance,
+      closestDistance: train.closestPass.distance,
+      closestTime: train.closestPass.time,
       lat: train.lat,
       lon: train.lon,
       velocity: train.velocity || 0,
@@ -125,17 +688,28 @@ const Tracker = {
       origName: train.origName || '',
       destName: train.destName || '',
       trainState: train.trainState || 'Active',
-      locationName
+      delayMinutes: Providers.getDelayMinutes(train),
+      status: Providers.getStatus(train).key,
+      locationName,
+      replay: typeof Recorder !== 'undefined' && Recorder.isReplaying()
     };
 
-    const added = Storage.addSpotting(spottingData);
-    if (added) {
-      this.session.spotted++;
-      // ✨ Confetti burst for newly spotted train!
-      if (typeof Effects !== 'undefined') {
-        Effects.celebrateNewTrain();
-      }
+    const now = typeof Recorder !== 'undefined' ? Recorder.now() : Date.now();
+    const entry = Storage.addSpotting(spottingData, now);
+    if (entry) {
+      const payload = {
+        time: now,
+        location: { name: location.name, lat: location.lat, lon: location.lon },
+        train,
+        entry
+      };
+      this.emit('train-spotted', payload);
+
+      const everLogged = Storage.getHistory().some(h => h.trainNum === entry.trainNum &&
+        h.providerId === entry.providerId && h.firstSeen !== entry.firstSeen);
+      if (!everLogged) this.emit('new-train-ever', payload);
     }
+    return entry;
   },
 
   /**
@@ -152,7 +726,8 @@ const Tracker = {
   getStats() {
     const activeLocation = Storage.getActiveLocation();
     const locationName = activeLocation ? activeLocation.name : null;
-    const todayHistory = locationName ? Storage.getTodayHistory(locationName) : [];
+    const now = typeof Recorder !== 'undefined' ? Recorder.now() : Date.now();
+    const todayHistory = locationName ? Storage.getTodayHistory(locationName, now) : [];
 
     return {
       nearbyCount: this.nearbyTrains.length,
@@ -178,7 +753,8 @@ const Tracker = {
   getTodayHistory() {
     const activeLocation = Storage.getActiveLocation();
     const locationName = activeLocation ? activeLocation.name : null;
-    return locationName ? Storage.getTodayHistory(locationName) : [];
+    const now = typeof Recorder !== 'undefined' ? Recorder.now() : Date.now();
+    return locationName ? Storage.getTodayHistory(locationName, now) : [];
   },
 
   /**
@@ -189,7 +765,8 @@ const Tracker = {
   },
 
   /**
-   * Reset session stats
+   * Reset session stats and everything remembered between batches, so a
+   * replay restart or location switch starts its events afresh
    */
   resetSession() {
     this.session = {
@@ -201,7 +778,16 @@ const Tracker = {
       startTime: Date.now()
     };
     this.previousTrains.clear();
+    this.previousTrackDistances.clear();
+    this.lastPositions.clear();
+    this.lastFixes.clear();
+    this.lastSamples.clear();
+    this.zones.clear();
+    this.watchedStatus.clear();
+    this.previousById = new Map();
+    this.currentBatch = [];
     this.currentTrains = [];
+    this.measuredFrom = null;
     this.nearbyTrains = [];
     this.closestTrain = null;
     this.nearbyStations = [];
@@ -226,6 +812,14 @@ const Tracker = {
     return `${Math.round(mph)} mph`;
   },
 
+  /**
+   * "passes in ~7 min" style text for a predicted approach
+   */
+  formatApproach(approach, now = typeof Recorder !== 'undefined' ? Recorder.now() : Date.now()) {
+    const minutes = Math.round((approach.time - now) / 60000);
+    return minutes < 1 ? 'passing now' : `passes in ~${minutes} min`;
+  },
+
   /**
    * Get time ago string
    */
@@ -30,6 +30,9 @@ const UI = {
       setupSavedSection: document.getElementById('setup-saved-section'),
       setupSavedLocations: document.getElementById('setup-saved-locations'),
 
+      // Service alerts
+      alertsBanner: document.getElementById('alerts-banner'),
+
       // Stats
       activeCount: document.getElementById('active-count'),
       todayCount: document.getElementById('today-count'),
@@ -50,9 +53,29 @@ const UI = {
       heroSpeed: document.getElementById('hero-speed'),
       heroHeading: document.getElementById('hero-heading'),
       heroNextStation: document.getElementById('hero-next-station'),
+      heroApproach: document.getElementById('hero-approach'),
+
+      // Coming soon
+      watchlistCount: document.getElementById('watchlist-count'),
+      watchlistInput: document.getElementById('watchlist-input'),
+      btnWatchAdd: document.getElementById('btn-watch-add'),
+      watchlistList: document.getElementById('watchlist-list'),
+      comingSoonSection: document.getElementById('coming-soon-section'),
+      comingSoonCount: document.getElementById('coming-soon-count'),
+      comingSoonList: document.getElementById('coming-soon-list'),
 
       // Map
       btnToggleStations: document.getElementById('btn-toggle-stations'),
+      btnDrawGeofence: document.getElementById('btn-draw-geofence'),
+      geofenceBar: document.getElementById('geofence-bar'),
+      geofenceType: document.getElementById('geofence-type'),
+      geofenceWidth: document.getElementById('geofence-width'),
+      geofenceWidthLabel: document.getElementById('geofence-width-label'),
+      geofenceName: document.getElementById('geofence-name'),
+      geofenceHint: document.getElementById('geofence-hint'),
+      geofenceList: document.getElementById('geofence-list'),
+      btnGeofenceUndo: document.getElementById('btn-geofence-undo'),
+      btnGeofenceSave: document.getElementById('btn-geofence-save'),
 
       // Stations section
       stationsSection: document.getElementById('stations-section'),
@@ -92,11 +115,44 @@ const UI = {
       btnSaveSettings: document.getElementById('btn-save-settings'),
       settingRefresh: document.getElementById('setting-refresh'),
       settingRadius: document.getElementById('setting-radius'),
-      settingAmtrak: document.getElementById('setting-amtrak'),
-      settingVia: document.getElementById('setting-via'),
-      settingBrightline: document.getElementById('setting-brightline'),
-      settingLirr: document.getElementById('setting-lirr'),
-      settingMetroNorth: document.getElementById('setting-metro-north'),
+      settingProviders: document.getElementById('setting-providers'),
+      customFeedsList: document.getElementById('custom-feeds-list'),
+      customFeedName: document.getElementById('custom-feed-name'),
+      customFeedUrl: document.getElementById('custom-feed-url'),
+      customFeedColor: document.getElementById('custom-feed-color'),
+      btnAddFeed: document.getElementById('btn-add-feed'),
+      gtfsStaticList: document.getElementById('gtfs-static-list'),
+      gtfsStaticProvider: document.getElementById('gtfs-static-provider'),
+      gtfsStaticFile: document.getElementById('gtfs-static-file'),
+      gtfsStaticStatus: document.getElementById('gtfs-static-status'),
+      btnImportGtfs: document.getElementById('btn-import-gtfs'),
+      routeLinesList: document.getElementById('route-lines-list'),
+      routeLinesFile: document.getElementById('route-lines-file'),
+      routeLinesStatus: document.getElementById('route-lines-status'),
+      btnImportRoutes: document.getElementById('btn-import-routes'),
+      settingsTab: document.getElementById('settings-tab'),
+      settingsTabs: document.getElementById('settings-tabs'),
+      settingsLocationsList: document.getElementById('settings-locations-list'),
+      btnNotifyPermission: document.getElementById('btn-notify-permission'),
+      notifyPermissionStatus: document.getElementById('notify-permission-status'),
+      settingNotifyEnabled: document.getElementById('setting-notify-enabled'),
+      settingNotifyEntered: document.getElementById('setting-notify-entered'),
+      settingNotifyPassing: document.getElementById('setting-notify-passing'),
+      settingNotifyMinutes: document.getElementById('setting-notify-minutes'),
+      settingNotifyWatched: document.getElementById('setting-notify-watched'),
+      settingNotifyProviders: document.getElementById('setting-notify-providers'),
+      alertRulesList: document.getElementById('alert-rules-list'),
+      btnNewRule: document.getElementById('btn-new-rule'),
+      ruleEditor: document.getElementById('rule-editor'),
+      ruleName: document.getElementById('rule-name'),
+      ruleMatch: document.getElementById('rule-match'),
+      ruleConditions: document.getElementById('rule-conditions'),
+      btnAddCondition: document.getElementById('btn-add-condition'),
+      ruleActionNotify: document.getElementById('rule-action-notify'),
+      ruleActionSound: document.getElementById('rule-action-sound'),
+      ruleActionWebhook: document.getElementById('rule-action-webhook'),
+      btnCancelRule: document.getElementById('btn-cancel-rule'),
+      btnSaveRule: document.getElementById('btn-save-rule'),
       settingNightPause: document.getElementById('setting-night-pause'),
       settingNightStart: document.getElementById('setting-night-start'),
       settingNightEnd: document.getElementById('setting-night-end'),
@@ -107,6 +163,28 @@ const UI = {
 
       // Change location modal
       changeLocationModal: document.getElementById('change-location-modal'),
+      healthModal: document.getElementById('health-modal'),
+      healthList: document.getElementById('health-list'),
+      btnHealth: document.getElementById('btn-health'),
+      btnCloseHealth: document.getElementById('btn-close-health'),
+      btnCloseHealthX: document.getElementById('btn-close-health-x'),
+      btnRecord: document.getElementById('btn-record'),
+      btnStopReplay: document.getElementById('btn-stop-replay'),
+      replaySpeed: document.getElementById('replay-speed'),
+      recordingsList: document.getElementById('recordings-list'),
+      recorderBadge: document.getElementById('recorder-badge'),
+      trainModal: document.getElementById('train-modal'),
+      trainDetailTitle: document.getElementById('train-detail-title'),
+      trainDetailSummary: document.getElementById('train-detail-summary'),
+      trainDetailTimeline: document.getElementById('train-detail-timeline'),
+      btnCloseTrain: document.getElementById('btn-close-train'),
+      btnCloseTrainX: document.getElementById('btn-close-train-x'),
+      stationModal: document.getElementById('station-modal'),
+      stationBoardTitle: document.getElementById('station-board-title'),
+      stationBoardSummary: document.getElementById('station-board-summary'),
+      stationBoardList: document.getElementById('station-board-list'),
+      btnCloseStation: document.getElementById('btn-close-station'),
+      btnCloseStationX: document.getElementById('btn-close-station-x'),
       btnCloseChangeLocX: document.getElementById('btn-close-change-loc-x'),
       btnCloseChangeLoc: document.getElementById('btn-close-change-loc'),
       btnUseLocationModal: document.getElementById('btn-use-location-modal'),
@@ -150,7 +228,8 @@ const UI = {
     locations.forEach(loc => {
       const tab = document.createElement('div');
       tab.className = `location-tab ${loc.name === activeName ? 'active' : ''}`;
-      tab.innerHTML = `${loc.name}${locations.length > 1 ? '<span class="delete-loc" title="Remove">×</span>' : ''}`;
+      tab.dataset.location = loc.name;
+      tab.innerHTML = `${loc.name}<span class="tab-badge hidden"></span>${locations.length > 1 ? '<span class="delete-loc" title="Remove">×</span>' : ''}`;
 
       // Click the tab text to switch
       tab.addEventListener('click', (e) => {
@@ -256,6 +335,48 @@ const UI = {
     }
   },
 
+  /**
+   * Render the dismissible service alerts banner above the stats grid
+   * @param {Array} alerts - Relevant alerts from ServiceAlerts.filterRelevant
+   * @param {Function} onDismiss - Called with (alert) when ✕ is clicked
+   */
+  updateAlertsBanner(alerts, onDismiss) {
+    const container = this.elements.alertsBanner;
+    if (!container) return;
+
+    container.innerHTML = '';
+    if (!alerts || alerts.length === 0) {
+      container.classList.add('hidden');
+      return;
+    }
+    container.classList.remove('hidden');
+
+    alerts.forEach(alert => {
+      const provider = Providers.get(alert.providerId);
+      const meta = [
+        provider ? provider.label : '',
+        ServiceAlerts.EFFECTS[alert.effect] || '',
+        ServiceAlerts.formatPeriod(alert)
+      ].filter(Boolean).join(' · ');
+
+      const div = document.createElement('div');
+      div.className = 'alert-item';
+      if (provider) div.style.borderLeftColor = provider.color;
+      div.innerHTML = `
+        <div>⚠️</div>
+        <div class="alert-body">
+          <div class="alert-header">${this.escapeHTML(alert.header || alert.description)}</div>
+          ${meta ? `<div class="alert-meta">${this.escapeHTML(meta)}</div>` : ''}
+          ${alert.header && alert.description ? `<details><summary>Details</summary>${this.escapeHTML(alert.description)}</details>` : ''}
+          ${/^https?:\/\//.test(alert.url) ? `<a href="${this.escapeHTML(alert.url)}" target="_blank" rel="noopener" style="font-size:12px;color:var(--accent);">More info ↗</a>` : ''}
+        </div>
+        <button class="btn btn-small" title="Dismiss">✕</button>
+      `;
+      div.querySelector('button').addEventListener('click', () => onDismiss(alert));
+      container.appendChild(div);
+    });
+  },
+
   /**
    * Update the hero card (closest train)
    */
@@ -269,7 +390,10 @@ const UI = {
 
     // Hide waiting, show hero
     if (this.elements.waitingState) this.elements.waitingState.style.display = 'none';
-    if (this.elements.trainHero) this.elements.trainHero.classList.add('active');
+    if (this.elements.trainHero) {
+      this.elements.trainHero.classList.add('active');
+      this.elements.trainHero.dataset.trainDetail = train.trainID;
+    }
 
     if (this.elements.heroRouteName) this.elements.heroRouteName.textContent = train.routeName || 'Unknown Train';
     if (this.elements.heroTrainNum) this.elements.heroTrainNum.textContent = train.trainNum || '--';
@@ -280,25 +404,40 @@ const UI = {
     if (this.elements.heroOrigin) this.elements.heroOrigin.textContent = train.origName || '?';
     if (this.elements.heroDestination) this.elements.heroDestination.textContent = train.destName || '?';
 
-    // Next station
+    // Predicted closest approach
+    if (this.elements.heroApproach) {
+      const approach = train.approach;
+      this.elements.heroApproach.classList.toggle('hidden', !approach);
+      this.elements.heroApproach.innerHTML = approach
+        ? `🎯 <span data-passes-at="${approach.time}">${Tracker.formatApproach(approach)}</span>, ${Tracker.formatDistance(approach.distance)} from you`
+        : '';
+    }
+
+    // Next station (commuter rail also shows the predicted arrival time)
+    const isGtfs = MTAClient.isGtfsTrain(train);
     const nextStation = AmtrakerClient.getNextStation(train);
     if (this.elements.heroNextStation) {
-      this.elements.heroNextStation.textContent = nextStation ? nextStation.name : '—';
+      let nextText = nextStation ? nextStation.name : '—';
+      if (isGtfs && nextStation && nextStation.arr) {
+        nextText += ` · ${new Date(nextStation.arr).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`;
+      }
+      this.elements.heroNextStation.textContent = nextText;
     }
 
     // Status badge
-    const isMTA = !!(train._mtaSource);
-    const statusText = isMTA ? (train.trainState || 'Active') : AmtrakerClient.getStatusText(train);
+    const status = Providers.getStatus(train);
     if (this.elements.heroStatusBadge) {
-      this.elements.heroStatusBadge.textContent = statusText;
-      const color = isMTA ? '#0039A6' : AmtrakerClient.getStatusColor(train);
-      this.elements.heroStatusBadge.style.background = color;
+      this.elements.heroStatusBadge.textContent = train.isStale ? 'Last known position' : status.label;
+      this.elements.heroStatusBadge.style.background = train.isStale ? 'var(--text-muted)' : status.color;
+      this.elements.heroStatusBadge.title = train.isStale
+        ? `${train.staleReason} · last update ${Tracker.timeAgo(train.lastUpdate)}`
+        : '';
     }
 
     // Route links
     const heroLinks = document.getElementById('hero-links');
     if (heroLinks) {
-      if (isMTA) {
+      if (isGtfs) {
         heroLinks.innerHTML = `<span style="font-size:12px;color:var(--text-muted);">🚇 ${train.provider} commuter rail</span>`;
       } else {
         const amtrakerURL = AmtrakerClient.getAmtrakerURL(train);
@@ -309,6 +448,119 @@ const UI = {
     }
   },
 
+  /**
+   * Update just the hero card's distance (between refreshes)
+   */
+  updateHeroDistance(distance) {
+    if (this.elements.heroDistance) this.elements.heroDistance.textContent = Tracker.formatDistance(distance);
+  },
+
+  /**
+   * Render trains predicted to pass within the radius, soonest first
+   * @param {Array} trains - Tracker result.comingSoon
+   */
+  updateComingSoon(trains) {
+    const container = this.elements.comingSoonList;
+    if (!container) return;
+
+    this.elements.comingSoonSection?.classList.toggle('hidden', trains.length === 0);
+    if (this.elements.comingSoonCount) {
+      this.elements.comingSoonCount.textContent = `${trains.length} train${trains.length !== 1 ? 's' : ''}`;
+    }
+
+    container.innerHTML = trains.slice(0, 10).map(train => `
+      <div class="train-item" data-train-detail="${this.escapeHTML(train.trainID)}">
+        <div class="train-item-left">
+          <div class="train-icon" style="background: ${Providers.getColor(train)};">${Providers.getEmoji(train)}</div>
+          <div class="train-info">
+            <span class="train-name">${this.escapeHTML(train.routeName || 'Unknown')}</span>
+            <span class="train-route">#${this.escapeHTML(train.trainNum)} · ${this.escapeHTML(train.provider || 'Amtrak')} · passes ${Tracker.formatDistance(train.approach.distance)} from you</span>
+          </div>
+        </div>
+        <div class="train-item-right">
+          <div class="train-distance" data-passes-at="${train.approach.time}">${Tracker.formatApproach(train.approach)}</div>
+          <div class="train-speed">${Tracker.formatDistance(train.track ? train.track.distance : train.distance)} ${train.track ? 'by rail' : 'away'} · ${Tracker.formatSpeed(train.velocity)}</div>
+        </div>
+      </div>
+    `).join('');
+  },
+
+  /**
+   * Render the watchlist with each entry's running trains, wherever they are
+   * @param {Array} watched - Tracker result.watched: [{ entry, trains }]
+   * @param {Function} onFocus - Called with (train) to show it on the map
+   * @param {Function} onRemove - Called with (entry id) when ✕ is clicked
+   */
+  updateWatchlist(watched, onFocus, onRemove) {
+    const container = this.elements.watchlistList;
+    if (!container) return;
+
+    const running = watched.reduce((n, w) => n + w.trains.length, 0);
+    if (this.elements.watchlistCount) {
+      this.elements.watchlistCount.textContent = `${running} train${running !== 1 ? 's' : ''}`;
+    }
+
+    container.innerHTML = '';
+    if (watched.length === 0) {
+      container.innerHTML = '<div class="watchlist-empty">Pin a train number or route to follow it anywhere.</div>';
+      return;
+    }
+
+    watched.forEach(({ entry, trains }) => {
+      const header = document.createElement('div');
+      header.className = 'watchlist-entry';
+      header.innerHTML = `
+        <span>${Watchlist.TYPES[entry.type].emoji} ${this.escapeHTML(Watchlist.describe(entry))}</span>
+        <button class="btn btn-small" title="Stop watching">✕</button>
+      `;
+      header.querySelector('button').addEventListener('click', () => onRemove(entry.id));
+      container.appendChild(header);
+
+      if (trains.length === 0) {
+        container.insertAdjacentHTML('beforeend', '<div class="watchlist-empty">Not running right now</div>');
+        return;
+      }
+
+      trains.forEach(train => {
+        const status = Providers.getStatus(train);
+        const nextStation = AmtrakerClient.getNextStation(train);
+        const div = document.createElement('div');
+        div.className = 'train-item';
+        div.dataset.trainDetail = train.trainID;
+        div.innerHTML = `
+          <div class="train-item-left">
+            <div class="train-icon" style="background: ${Providers.getColor(train)};">${Providers.getEmoji(train)}</div>
+            <div class="train-info">
+              <span class="train-name">${this.escapeHTML(train.routeName || 'Unknown')}</span>
+              <span class="train-route">#${this.escapeHTML(train.trainNum)} · <span style="color:${status.color};">${this.escapeHTML(train.isStale ? 'Last known position' : status.label)}</span>${nextStation ? ` · Next: ${this.escapeHTML(nextStation.name)}` : ''}</span>
+            </div>
+          </div>
+          <div class="train-item-right" style="display: flex; align-items: center; gap: 8px;">
+            <div>
+              <div class="train-distance">${train.bearingArrow || ''} ${Tracker.formatDistance(train.distance)}</div>
+              <div class="train-speed">${Tracker.formatSpeed(train.velocity)}</div>
+            </div>
+            <button class="btn btn-small" title="Show on map">🗺️</button>
+          </div>
+        `;
+        div.querySelector('button').addEventListener('click', (e) => {
+          e.stopPropagation();
+          onFocus(train);
+        });
+        container.appendChild(div);
+      });
+    });
+  },
+
+  /**
+   * Tick "passes in ~N min" texts between refreshes
+   */
+  updateApproachCountdowns() {
+    document.querySelectorAll('[data-passes-at]').forEach(el => {
+      el.textContent = Tracker.formatApproach({ time: parseInt(el.dataset.passesAt) });
+    });
+  },
+
   /**
    * Update the nearby trains list (shown below the hero card in the spotted section)
    * Since the HTML doesn't have a separate nearby list, we render nearby into the history area
@@ -339,7 +591,7 @@ const UI = {
     }
 
     container.innerHTML = stations.slice(0, 10).map(station => `
-      <div class="station-item" data-station-code="${station.code}">
+      <div class="station-item" data-station-code="${station.code}" data-station-board="${station.code}">
         <div>
           <div class="station-name">🚉 ${station.name}</div>
           <div class="station-detail">${station.code} · ${station.trains ? station.trains.length : 0} trains</div>
@@ -378,20 +630,23 @@ const UI = {
       .sort((a, b) => b.firstSeen - a.firstSeen)
       .slice(0, 30)
       .map(entry => {
-        const isMTA = (entry.trainID || '').startsWith('mta-');
-        const iconBg = entry.provider === 'Brightline' ? '#eab308'
-          : entry.provider === 'Via' ? '#dc2626'
-          : isMTA ? '#0039A6'
-          : '#2563eb';
-        const emoji = isMTA ? '🚇' : AmtrakerClient.getProviderEmoji(entry);
-        const routeInfo = isMTA
-          ? `#${entry.trainNum} · ${entry.provider || 'MTA'}`
-          : `#${entry.trainNum} · ${entry.provider || 'Amtrak'} · ${entry.origName || '?'} → ${entry.destName || '?'}`;
-        const linkHtml = isMTA ? '' :
+        const isGtfs = MTAClient.isGtfsTrain(entry);
+        const iconBg = Providers.getColor(entry);
+        const emoji = Providers.getEmoji(entry);
+        const status = entry.status
+          ? Providers.describeStatus(entry.status, entry.delayMinutes)
+          : Providers.getStatus(entry);
+        const statusText = status.key !== 'unknown'
+          ? ` · <span style="color:${status.color};font-weight:600;">${status.label}</span>`
+          : '';
+        const routeInfo = isGtfs
+          ? `#${entry.trainNum} · ${entry.provider || 'MTA'}${entry.origName ? ` · ${entry.origName} → ${entry.destName || '?'}` : ''}${statusText}`
+          : `#${entry.trainNum} · ${entry.provider || 'Amtrak'} · ${entry.origName || '?'} → ${entry.destName || '?'}${statusText}`;
+        const linkHtml = isGtfs ? '' :
           `<span class="train-route"><a href="${entry.trainID && entry.trainID.includes('-') ? `https://amtraker.com/trains/${entry.trainID.split('-')[0]}/${entry.trainID.split('-')[1]}` : `https://amtraker.com/trains/${entry.trainNum}`}" target="_blank" rel="noopener" style="color:var(--accent);text-decoration:none;font-size:11px;">View Route ↗</a></span>`;
 
         return `
-        <div class="train-item">
+        <div class="train-item" data-train-detail="${this.escapeHTML(entry.trainID)}">
           <div class="train-item-left">
             <div class="train-icon" style="background: ${iconBg};">
               ${emoji}
@@ -403,7 +658,7 @@ const UI = {
             </div>
           </div>
           <div class="train-item-right">
-            <div class="train-distance">${Tracker.formatDistance(entry.closestDistance)}</div>
+            <div class="train-distance" title="Closest at ${new Date(entry.closestTime).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}">${Tracker.formatDistance(entry.closestDistance)}</div>
             <div class="train-speed">${Tracker.timeAgo(entry.lastSeen)}</div>
           </div>
         </div>
@@ -440,7 +695,11 @@ const UI = {
       case 'error':
         indicator.classList.add('error');
         break;
+      case 'warning':
+        indicator.classList.add('warning');
+        break;
       case 'paused':
+        indicator.classList.add('paused');
         break;
     }
 
@@ -489,7 +748,7 @@ const UI = {
 
   /**
    * Show saved locations in change location modal
-   * @param {Array} locations - Array of {name, lat, lon, radius}
+   * @param {Array} locations - Saved locations
    * @param {string} activeLocationName
    * @param {Function} onSelect
    */
@@ -513,7 +772,7 @@ const UI = {
       div.innerHTML = `
         <div>
           <div class="location-name">${loc.name} ${loc.name === activeLocationName ? '✓' : ''}</div>
-          <div class="location-coords">${Location.formatCoords(loc.lat, loc.lon)} · ${loc.radius || 10} mi</div>
+          <div class="location-coords">${Location.formatCoords(loc.lat, loc.lon)} · ${Storage.getLocationSettings(loc).radius} mi</div>
         </div>
       `;
       div.addEventListener('click', () => onSelect(loc.name, loc));
@@ -586,15 +845,573 @@ const UI = {
       if (this.elements.settingRefresh) {
         this.elements.settingRefresh.value = settings.refreshInterval;
       }
-      if (this.elements.settingAmtrak) this.elements.settingAmtrak.checked = settings.providers.amtrak;
-      if (this.elements.settingVia) this.elements.settingVia.checked = settings.providers.via;
-      if (this.elements.settingBrightline) this.elements.settingBrightline.checked = settings.providers.brightline;
-      if (this.elements.settingLirr) this.elements.settingLirr.checked = settings.providers.lirr;
-      if (this.elements.settingMetroNorth) this.elements.settingMetroNorth.checked = settings.providers.metroNorth;
+      this.renderProviderToggles(settings.providers);
+      this.renderNotificationSettings(settings.notifications);
+      this.updateNotifyPermission(Notifier.getPermission());
       if (this.elements.settingNightPause) this.elements.settingNightPause.checked = settings.nightPause || false;
+      if (this.elements.settingNightStart) this.elements.settingNightStart.value = settings.nightStart || '23:00';
+      if (this.elements.settingNightEnd) this.elements.settingNightEnd.value = settings.nightEnd || '06:00';
+      this.renderLocationProfiles(Storage.getLocations(), settings);
+      this.switchSettingsTab('general');
     }
   },
 
+  /**
+   * Show one tab of the settings modal
+   * @param {string} tab - 'general', 'locations' or 'data'
+   */
+  switchSettingsTab(tab) {
+    if (this.elements.settingsTab) this.elements.settingsTab.value = tab;
+    this.elements.settingsTabs?.querySelectorAll('.settings-tab-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.tab === tab);
+    });
+    document.querySelectorAll('#settings-modal .settings-tab').forEach(el => {
+      el.classList.toggle('hidden', el.id !== `tab-${tab}`);
+    });
+  },
+
+  /**
+   * Render a profile editor per saved location in the Locations tab.
+   * Blank fields show the global value as a placeholder.
+   * @param {Array} locations - Saved locations
+   * @param {Object} defaults - Global settings
+   */
+  renderLocationProfiles(locations, defaults) {
+    const container = this.elements.settingsLocationsList;
+    if (!container) return;
+
+    if (locations.length === 0) {
+      container.innerHTML = '<div style="padding:12px;color:var(--text-muted);">No saved locations yet</div>';
+      return;
+    }
+
+    const rules = Storage.getAlertRules();
+    container.innerHTML = '';
+    locations.forEach(loc => {
+      const profile = loc.profile || {};
+      const providers = profile.providers || defaults.providers;
+      const quiet = profile.nightPause === undefined ? 'default' : profile.nightPause ? 'on' : 'off';
+
+      const div = document.createElement('div');
+      div.className = 'location-profile';
+      div.dataset.location = loc.name;
+      div.innerHTML = `
+        <h4>📍 ${this.escapeHTML(loc.name)}</h4>
+        <div class="form-row">
+          <div class="form-group">
+            <label>Radius (mi)</label>
+            <input type="number" data-field="radius" min="1" max="100" value="${profile.radius || ''}" placeholder="${defaults.radius}">
+          </div>
+          <div class="form-group">
+            <label>Refresh (s)</label>
+            <input type="number" data-field="refreshInterval" min="30" max="300" value="${profile.refreshInterval || ''}" placeholder="${defaults.refreshInterval}">
+          </div>
+        </div>
+        <div class="form-group">
+          <label>Providers</label>
+          <select data-field="providerMode">
+            <option value="default" ${profile.providers ? '' : 'selected'}>Same as General</option>
+            <option value="custom" ${profile.providers ? 'selected' : ''}>Choose for this location</option>
+          </select>
+          <div class="profile-providers ${profile.providers ? '' : 'hidden'}">
+            ${Providers.list().map(p => `
+              <label style="display: flex; align-items: center; gap: 8px; font-weight: normal;">
+                <input type="checkbox" data-provider="${p.id}" style="width: auto;" ${Providers.isEnabled(p.id, providers) ? 'checked' : ''}>
+                ${p.emoji} ${this.escapeHTML(p.label)}
+              </label>
+            `).join('')}
+          </div>
+        </div>
+        <div class="form-group">
+          <label style="display: flex; align-items: center; gap: 8px; font-weight: normal;">
+            <input type="checkbox" data-field="notify" style="width: auto;" ${profile.notify === false ? '' : 'checked'}> 🔔 Notifications for this location
+          </label>
+        </div>
+        <div class="form-group">
+          <label>Alert rules</label>
+          <select data-field="ruleMode">
+            <option value="all" ${profile.alertRules ? '' : 'selected'}>All rules</option>
+            <option value="custom" ${profile.alertRules ? 'selected' : ''}>Choose for this location</option>
+          </select>
+          <div class="profile-rules ${profile.alertRules ? '' : 'hidden'}">
+            ${rules.length === 0 ? '<span style="color: var(--text-muted); font-size: 13px;">No alert rules yet</span>' : rules.map(r => `
+              <label style="display: flex; align-items: center; gap: 8px; font-weight: normal;">
+                <input type="checkbox" data-rule="${this.escapeHTML(r.id)}" style="width: auto;" ${!profile.alertRules || profile.alertRules.includes(r.id) ? 'checked' : ''}>
+                ${this.escapeHTML(r.name)}
+              </label>
+            `).join('')}
+          </div>
+        </div>
+        <div class="form-group">
+          <label>Quiet hours</label>
+          <select data-field="nightPause">
+            <option value="default" ${quiet === 'default' ? 'selected' : ''}>Same as General</option>
+            <option value="off" ${quiet === 'off' ? 'selected' : ''}>Off</option>
+            <option value="on" ${quiet === 'on' ? 'selected' : ''}>On</option>
+          </select>
+          <div class="form-row profile-night ${quiet === 'on' ? '' : 'hidden'}" style="margin-top: 8px;">
+            <input type="time" data-field="nightStart" value="${profile.nightStart || defaults.nightStart || '23:00'}">
+            <input type="time" data-field="nightEnd" value="${profile.nightEnd || defaults.nightEnd || '06:00'}">
+          </div>
+        </div>
+      `;
+
+      const field = (name) => div.querySelector(`[data-field="${name}"]`);
+      field('providerMode').addEventListener('change', (e) => {
+        div.querySelector('.profile-providers').classList.toggle('hidden', e.target.value !== 'custom');
+      });
+      field('ruleMode').addEventListener('change', (e) => {
+        div.querySelector('.profile-rules').classList.toggle('hidden', e.target.value !== 'custom');
+      });
+      field('nightPause').addEventListener('change', (e) => {
+        div.querySelector('.profile-night').classList.toggle('hidden', e.target.value !== 'on');
+      });
+      container.appendChild(div);
+    });
+  },
+
+  /**
+   * Read the Locations tab back into profiles
+   * @returns {Map} location name -> profile (only the overridden fields)
+   */
+  readLocationProfiles() {
+    const profiles = new Map();
+    this.elements.settingsLocationsList?.querySelectorAll('.location-profile').forEach(div => {
+      const field = (name) => div.querySelector(`[data-field="${name}"]`).value;
+      const profile = {
+        radius: parseInt(field('radius')) || null,
+        refreshInterval: parseInt(field('refreshInterval')) || null
+      };
+
+      if (field('providerMode') === 'custom') {
+        profile.providers = {};
+        div.querySelectorAll('[data-provider]').forEach(input => {
+          profile.providers[input.dataset.provider] = input.checked;
+        });
+      }
+
+      // Unchecked is the only override; checked follows the default (on)
+      if (!div.querySelector('[data-field="notify"]').checked) profile.notify = false;
+
+      if (field('ruleMode') === 'custom') {
+        profile.alertRules = [...div.querySelectorAll('[data-rule]')].filter(input => input.checked).map(input => input.dataset.rule);
+      }
+
+      const quiet = field('nightPause');
+      if (quiet !== 'default') profile.nightPause = quiet === 'on';
+      if (quiet === 'on') {
+        profile.nightStart = field('nightStart');
+        profile.nightEnd = field('nightEnd');
+      }
+      profiles.set(div.dataset.location, profile);
+    });
+    return profiles;
+  },
+
+  /**
+   * Render one checkbox per registered provider in the settings modal
+   * @param {Object} enabled - { providerId: boolean }
+   */
+  renderProviderToggles(enabled) {
+    const container = this.elements.settingProviders;
+    if (!container) return;
+
+    container.innerHTML = Providers.list().map(p => `
+      <label style="display: flex; align-items: center; gap: 8px; font-weight: normal;">
+        <input type="checkbox" id="setting-provider-${p.id}" ${enabled[p.id] ? 'checked' : ''}>
+        ${p.emoji} ${this.escapeHTML(p.label)}${p.region ? ` (${p.region})` : ''}
+      </label>
+    `).join('');
+  },
+
+  /**
+   * Read the provider checkboxes back into an enabled map
+   * @param {Object} enabled - Current { providerId: boolean } to start from
+   */
+  readProviderToggles(enabled) {
+    const result = { ...enabled };
+    Providers.list().forEach(p => {
+      const input = document.getElementById(`setting-provider-${p.id}`);
+      if (input) result[p.id] = input.checked;
+    });
+    return result;
+  },
+
+  /**
+   * Fill in the notification options
+   * @param {Object} prefs - settings.notifications
+   */
+  renderNotificationSettings(prefs) {
+    const el = this.elements;
+    if (el.settingNotifyEnabled) el.settingNotifyEnabled.checked = prefs.enabled;
+    if (el.settingNotifyEntered) el.settingNotifyEntered.checked = prefs.entered;
+    if (el.settingNotifyPassing) el.settingNotifyPassing.checked = prefs.passing;
+    if (el.settingNotifyMinutes) el.settingNotifyMinutes.value = prefs.passMinutes;
+    if (el.settingNotifyWatched) el.settingNotifyWatched.checked = prefs.watched;
+
+    if (el.settingNotifyProviders) {
+      el.settingNotifyProviders.innerHTML = Providers.list().map(p => `
+        <label><input type="checkbox" data-notify-provider="${p.id}" ${prefs.providers[p.id] === false ? '' : 'checked'}> ${p.emoji} ${this.escapeHTML(p.label)}</label>
+      `).join('');
+    }
+  },
+
+  /**
+   * Read the notification options back
+   * @param {Object} prefs - Current settings.notifications to start from
+   */
+  readNotificationSettings(prefs) {
+    const el = this.elements;
+    const result = { ...prefs, providers: { ...prefs.providers } };
+    if (el.settingNotifyEnabled) result.enabled = el.settingNotifyEnabled.checked;
+    if (el.settingNotifyEntered) result.entered = el.settingNotifyEntered.checked;
+    if (el.settingNotifyPassing) result.passing = el.settingNotifyPassing.checked;
+    if (el.settingNotifyMinutes) result.passMinutes = parseInt(el.settingNotifyMinutes.value) || 5;
+    if (el.settingNotifyWatched) result.watched = el.settingNotifyWatched.checked;
+
+    el.settingNotifyProviders?.querySelectorAll('[data-notify-provider]').forEach(input => {
+      if (input.checked) delete result.providers[input.dataset.notifyProvider];
+      else result.providers[input.dataset.notifyProvider] = false;
+    });
+    return result;
+  },
+
+  /**
+   * Show where the browser's notification permission stands
+   * @param {string} permission - Notifier.getPermission()
+   */
+  updateNotifyPermission(permission) {
+    const labels = {
+      granted: '✅ Allowed in this browser',
+      denied: '🚫 Blocked — allow notifications for this site in your browser settings',
+      default: 'Not allowed yet',
+      unsupported: 'This browser doesn\'t support notifications'
+    };
+    if (this.elements.notifyPermissionStatus) this.elements.notifyPermissionStatus.textContent = labels[permission] || '';
+    if (this.elements.btnNotifyPermission) {
+      this.elements.btnNotifyPermission.classList.toggle('hidden', permission !== 'default');
+    }
+  },
+
+  /**
+   * Render the alert rules in the Alerts tab
+   * @param {Array} rules - Storage.getAlertRules()
+   * @param {Object} handlers - { onToggle(id, enabled), onEdit(rule), onRemove(id) }
+   */
+  renderAlertRules(rules, { onToggle, onEdit, onRemove }) {
+    const container = this.elements.alertRulesList;
+    if (!container) return;
+
+    container.innerHTML = rules.length === 0
+      ? '<div style="padding:12px;color:var(--text-muted);">No rules yet</div>'
+      : '';
+    rules.forEach(rule => {
+      const actions = [
+        rule.actions.notify ? '🔔' : '',
+        rule.actions.sound ? '🔊' : '',
+        rule.actions.webhook ? '🔗' : ''
+      ].join('');
+      const div = document.createElement('div');
+      div.className = 'settings-location-item';
+      div.style.opacity = rule.enabled ? '' : '0.5';
+      div.innerHTML = `
+        <div style="min-width:0;">
+          <div class="location-name">${this.escapeHTML(rule.name)} ${actions}</div>
+          <div class="location-coords">${this.escapeHTML(AlertRules.describe(rule))}</div>
+        </div>
+        <div style="display: flex; gap: 6px; align-items: center; flex-shrink: 0;">
+          <input type="checkbox" title="Enabled" style="width: auto;" ${rule.enabled ? 'checked' : ''}>
+          <button class="btn btn-small" data-action="edit" title="Edit rule">✎</button>
+          <button class="btn btn-small" data-action="remove" title="Remove rule">✕</button>
+        </div>
+      `;
+      div.querySelector('input').addEventListener('change', (e) => onToggle(rule.id, e.target.checked));
+      div.querySelector('[data-action="edit"]').addEventListener('click', () => onEdit(rule));
+      div.querySelector('[data-action="remove"]').addEventListener('click', () => onRemove(rule.id));
+      container.appendChild(div);
+    });
+  },
+
+  /**
+   * Show the rule editor, filled in from a rule or blank for a new one
+   * @param {Object|null} rule
+   */
+  openRuleEditor(rule) {
+    const el = this.elements;
+    if (!el.ruleEditor) return;
+
+    el.ruleName.value = rule ? rule.name : '';
+    el.ruleMatch.value = rule ? rule.match : 'all';
+    el.ruleActionNotify.checked = rule ? !!rule.actions.notify : true;
+    el.ruleActionSound.checked = rule ? !!rule.actions.sound : false;
+    el.ruleActionWebhook.value = rule ? rule.actions.webhook || '' : '';
+
+    el.ruleConditions.innerHTML = '';
+    (rule ? rule.conditions : [{ field: 'route', op: 'contains', value: '' }]).forEach(c => this.addRuleCondition(c));
+
+    el.ruleEditor.classList.remove('hidden');
+    el.btnNewRule?.classList.add('hidden');
+  },
+
+  closeRuleEditor() {
+    this.elements.ruleEditor?.classList.add('hidden');
+    this.elements.btnNewRule?.classList.remove('hidden');
+  },
+
+  /**
+   * Add a condition row to the rule editor
+   * @param {Object} [condition] - { field, op, value }
+   */
+  addRuleCondition(condition = { field: 'distance', op: 'lt', value: '' }) {
+    const row = document.createElement('div');
+    row.className = 'rule-condition';
+    row.innerHTML = `
+      <select data-part="field">
+        ${Object.entries(AlertRules.FIELDS).map(([id, f]) => `<option value="${id}" ${id === condition.field ? 'selected' : ''}>${f.label}</option>`).join('')}
+      </select>
+      <select data-part="op"></select>
+      <div class="rule-value"></div>
+      <button class="btn btn-small" title="Remove condition">✕</button>
+    `;
+
+    const fieldSelect = row.querySelector('[data-part="field"]');
+    fieldSelect.addEventListener('change', () => this.renderConditionInputs(row, { field: fieldSelect.value, value: '' }));
+    row.querySelector('button').addEventListener('click', () => row.remove());
+
+    this.renderConditionInputs(row, condition);
+    this.elements.ruleConditions?.appendChild(row);
+  },
+
+  /**
+   * Operator choices and value input for a condition row's field
+   */
+  renderConditionInputs(row, { field, op, value, station }) {
+    const spec = AlertRules.FIELDS[field];
+    row.querySelector('[data-part="op"]').innerHTML = spec.ops
+      .map(o => `<option value="${o}" ${o === op ? 'selected' : ''}>${AlertRules.OPS[o]}</option>`).join('');
+
+    const options = (items, selected) => items
+      .map(([v, label]) => `<option value="${this.escapeHTML(v)}" ${v === selected ? 'selected' : ''}>${this.escapeHTML(label)}</option>`).join('');
+    const valueEl = row.querySelector('.rule-value');
+    const current = value || '';
+
+    switch (spec.input) {
+      case 'provider':
+        valueEl.innerHTML = `<select data-part="value">${options(Providers.list().map(p => [p.id, p.label]), current)}</select>`;
+        break;
+      case 'direction':
+        valueEl.innerHTML = `<select data-part="value">${options(AlertRules.DIRECTIONS.map(d => [d, d]), current)}</select>`;
+        break;
+      case 'location':
+        valueEl.innerHTML = `<select data-part="value">${options(Storage.getLocations().map(l => [l.name, l.name]), current)}</select>`;
+        break;
+      case 'stationDelay':
+        valueEl.innerHTML = `<input type="text" data-part="station" placeholder="Station" value="${this.escapeHTML(station || '')}"><input type="number" data-part="value" value="${this.escapeHTML(current)}">`;
+        break;
+      case 'timeRange': {
+        const [start, end] = current ? current.split('-') : ['18:00', '21:00'];
+        valueEl.innerHTML = `<input type="time" data-part="start" value="${start}"><input type="time" data-part="end" value="${end}">`;
+        break;
+      }
+      default:
+        valueEl.innerHTML = `<input type="${spec.input === 'number' ? 'number' : 'text'}" data-part="value" value="${this.escapeHTML(current)}">`;
+    }
+  },
+
+  /**
+   * Read the rule editor's fields
+   * @returns {Object} { name, match, conditions, actions }
+   */
+  readRuleEditor() {
+    const el = this.elements;
+    const conditions = [...(el.ruleConditions?.querySelectorAll('.rule-condition') || [])].map(row => {
+      const part = (name) => row.querySelector(`[data-part="${name}"]`);
+      const condition = {
+        field: part('field').value,
+        op: part('op').value,
+        value: part('start') ? `${part('start').value}-${part('end').value}` : part('value').value.trim()
+      };
+      if (part('station')) condition.station = part('station').value.trim();
+      return condition;
+    });
+
+    return {
+      name: el.ruleName.value.trim(),
+      match: el.ruleMatch.value,
+      conditions,
+      actions: {
+        notify: el.ruleActionNotify.checked,
+        sound: el.ruleActionSound.checked,
+        webhook: el.ruleActionWebhook.value.trim()
+      }
+    };
+  },
+
+  /**
+   * Render the user's custom GTFS-RT feeds in the settings modal
+   * @param {Array} feeds - [{ id, name, url, color }]
+   * @param {Function} onRemove - Called with (id) when a feed's ✕ is clicked
+   */
+  renderCustomFeeds(feeds, onRemove) {
+    const container = this.elements.customFeedsList;
+    if (!container) return;
+
+    container.innerHTML = '';
+    feeds.forEach(feed => {
+      const div = document.createElement('div');
+      div.className = 'settings-location-item';
+      div.innerHTML = `
+        <div style="min-width:0;">
+          <div class="location-name"><span style="color:${this.escapeHTML(feed.color)};">●</span> ${this.escapeHTML(feed.name)}</div>
+          <div class="location-coords" style="overflow:hidden;text-overflow:ellipsis;white-space:nowrap;">${this.escapeHTML(feed.url)}</div>
+        </div>
+        <button class="btn btn-small" title="Remove feed">✕</button>
+      `;
+      div.querySelector('button').addEventListener('click', () => onRemove(feed.id));
+      container.appendChild(div);
+    });
+  },
+
+  /**
+   * Render imported static GTFS datasets and the provider picker for imports
+   * @param {Array} datasets - From GtfsStatic.summarize
+   * @param {Function} onRemove - Called with (providerId) when a dataset's ✕ is clicked
+   */
+  renderGtfsDatasets(datasets, onRemove) {
+    const select = this.elements.gtfsStaticProvider;
+    if (select) {
+      const current = select.value;
+      select.innerHTML = Providers.list()
+        .filter(p => p.staticGtfs)
+        .map(p => `<option value="${this.escapeHTML(p.id)}">${p.emoji} ${this.escapeHTML(p.label)}</option>`)
+        .join('');
+      if ([...select.options].some(o => o.value === current)) select.value = current;
+    }
+
+    const container = this.elements.gtfsStaticList;
+    if (!container) return;
+
+    container.innerHTML = '';
+    datasets.forEach(ds => {
+      const provider = Providers.get(ds.providerId);
+      const div = document.createElement('div');
+      div.className = 'settings-location-item';
+      div.innerHTML = `
+        <div style="min-width:0;">
+          <div class="location-name">${provider ? provider.emoji : '🚇'} ${this.escapeHTML(provider ? provider.label : ds.providerId)} · ${this.escapeHTML(ds.fileName)}</div>
+          <div class="location-coords">${ds.routes} routes · ${ds.stops} stops · ${ds.trips} trips · imported ${new Date(ds.importedAt).toLocaleDateString()}</div>
+        </div>
+        <button class="btn btn-small" title="Remove static GTFS">✕</button>
+      `;
+      div.querySelector('button').addEventListener('click', () => onRemove(ds.providerId));
+      container.appendChild(div);
+    });
+  },
+
+  /**
+   * Show or hide the geofence editor under the map header
+   */
+  toggleGeofenceBar(open) {
+    this.elements.geofenceBar?.classList.toggle('hidden', !open);
+  },
+
+  isGeofenceBarOpen() {
+    return !!this.elements.geofenceBar && !this.elements.geofenceBar.classList.contains('hidden');
+  },
+
+  /**
+   * Prompt for the next point of the geofence being drawn
+   * @param {string} type - 'polygon' or 'corridor'
+   * @param {number} count - Points placed so far
+   */
+  updateGeofenceHint(type, count) {
+    const spec = Geofences.TYPES[type];
+    this.elements.geofenceWidthLabel?.classList.toggle('hidden', type !== 'corridor');
+    if (!this.elements.geofenceHint) return;
+
+    const what = type === 'corridor' ? 'along the track' : 'around the area';
+    this.elements.geofenceHint.textContent = count < spec.minPoints
+      ? `Click the map to place points ${what} (${count}/${spec.minPoints}).`
+      : `${count} points — keep clicking to add more, or Save.`;
+  },
+
+  /**
+   * Render the active location's geofences in the editor
+   * @param {Array} fences
+   * @param {Function} onRemove - Called with (id) when a fence's ✕ is clicked
+   */
+  renderGeofences(fences, onRemove) {
+    const container = this.elements.geofenceList;
+    if (!container) return;
+
+    container.innerHTML = '';
+    fences.forEach(fence => {
+      const div = document.createElement('div');
+      div.className = 'settings-location-item';
+      div.innerHTML = `
+        <div style="min-width:0;">
+          <div class="location-name">${Geofences.TYPES[fence.type].emoji} ${this.escapeHTML(fence.name)}</div>
+          <div class="location-coords">${Geofences.describe(fence)}</div>
+        </div>
+        <button class="btn btn-small" title="Remove geofence">✕</button>
+      `;
+      div.querySelector('button').addEventListener('click', () => onRemove(fence.id));
+      container.appendChild(div);
+    });
+  },
+
+  /**
+   * Show how many trains are nearby on each location tab
+   * @param {Object} counts - Location name -> nearby train count
+   */
+  updateTabBadges(counts) {
+    this.elements.locationTabs?.querySelectorAll('.location-tab[data-location]').forEach(tab => {
+      const badge = tab.querySelector('.tab-badge');
+      const count = counts[tab.dataset.location];
+      if (!badge) return;
+      badge.textContent = count || '';
+      badge.title = count ? `${count} train${count !== 1 ? 's' : ''} nearby` : '';
+      badge.classList.toggle('hidden', !count);
+    });
+  },
+
+  /**
+   * Render imported route line files in the settings modal
+   * @param {Array} collections - From RouteGeometry.summarize
+   * @param {Function} onRemove - Called with (id) when a file's ✕ is clicked
+   */
+  renderRouteLines(collections, onRemove) {
+    const container = this.elements.routeLinesList;
+    if (!container) return;
+
+    container.innerHTML = '';
+    collections.forEach(c => {
+      const div = document.createElement('div');
+      div.className = 'settings-location-item';
+      div.innerHTML = `
+        <div style="min-width:0;">
+          <div class="location-name">🛤️ ${this.escapeHTML(c.fileName)}</div>
+          <div class="location-coords">${c.routes} routes · ${c.lines} lines · imported ${new Date(c.importedAt).toLocaleDateString()}</div>
+        </div>
+        <button class="btn btn-small" title="Remove route lines">✕</button>
+      `;
+      div.querySelector('button').addEventListener('click', () => onRemove(c.id));
+      container.appendChild(div);
+    });
+  },
+
+  /**
+   * Escape user- or feed-supplied text for innerHTML
+   */
+  escapeHTML(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  },
+
   /**
    * Close settings modal
    */
@@ -622,6 +1439,335 @@ const UI = {
     }
   },
 
+  /**
+   * Open the data source health panel
+   */
+  openHealth() {
+    if (this.elements.healthModal) {
+      this.elements.healthModal.classList.remove('hidden');
+    }
+  },
+
+  /**
+   * Close the data source health panel
+   */
+  closeHealth() {
+    if (this.elements.healthModal) {
+      this.elements.healthModal.classList.add('hidden');
+    }
+  },
+
+  /**
+   * Render one row per data source in the health panel
+   * @param {Array} sources - [{ provider, enabled, health }] where health
+   *   comes from Providers.getHealth (null if never fetched)
+   */
+  renderHealthPanel(sources) {
+    const container = this.elements.healthList;
+    if (!container) return;
+
+    container.innerHTML = sources.map(({ provider, enabled, health }) => {
+      let state = '';
+      let stateText = 'Not fetched yet';
+      if (!enabled) {
+        stateText = 'Disabled';
+      } else if (health && health.consecutiveFailures > 0) {
+        state = 'failing';
+        stateText = `Failing · ${health.consecutiveFailures} in a row`;
+      } else if (health && health.lastSuccess) {
+        state = 'ok';
+        stateText = 'OK';
+      }
+
+      const lastSuccess = health && health.lastSuccess ? Tracker.timeAgo(health.lastSuccess) : '—';
+      const latency = health && health.latency !== null ? `${health.latency} ms` : '—';
+      const trainCount = health && health.trainCount !== null ? health.trainCount : '—';
+      const failures = health ? health.consecutiveFailures : 0;
+
+      return `
+        <div class="health-item">
+          <div class="health-name">
+            <span class="health-dot ${state}"></span>
+            ${provider.emoji} ${this.escapeHTML(provider.label)}
+            <span style="margin-left:auto;font-weight:normal;font-size:12px;color:var(--text-muted);">${stateText}</span>
+          </div>
+          <div class="health-stats">
+            <div><strong>${lastSuccess}</strong>Last success</div>
+            <div><strong>${latency}</strong>Response</div>
+            <div><strong>${trainCount}</strong>Trains</div>
+            <div><strong>${failures}</strong>Failures</div>
+          </div>
+          ${health && health.lastError && failures > 0 ? `<div class="health-error">${this.escapeHTML(health.lastError)}</div>` : ''}
+        </div>
+      `;
+    }).join('');
+  },
+
+  /**
+   * Open the train detail panel
+   */
+  openTrainDetail() {
+    if (this.elements.trainModal) {
+      this.elements.trainModal.classList.remove('hidden');
+    }
+  },
+
+  /**
+   * Close the train detail panel
+   */
+  closeTrainDetail() {
+    if (this.elements.trainModal) {
+      this.elements.trainModal.classList.add('hidden');
+    }
+  },
+
+  /**
+   * Render a train's full stop timeline in the detail panel
+   * @param {Object} train - Amtraker train record (or normalized GTFS-RT train)
+   * @param {Object} [state] - { loading, error } while the record is fetched
+   */
+  renderTrainDetail(train, { loading = false, error = null } = {}) {
+    if (this.elements.trainDetailTitle) {
+      this.elements.trainDetailTitle.textContent = `${Providers.getEmoji(train)} ${train.routeName || 'Unknown Train'}`;
+    }
+
+    if (this.elements.trainDetailSummary) {
+      const updated = train.lastValTS ? ` · updated ${Tracker.timeAgo(new Date(train.lastValTS).getTime())}` : '';
+      this.elements.trainDetailSummary.textContent =
+        `Train #${train.trainNum} · ${train.provider || 'Amtrak'} · ${train.origName || '?'} → ${train.destName || '?'}${updated}`;
+    }
+
+    const container = this.elements.trainDetailTimeline;
+    if (!container) return;
+
+    if (loading || error) {
+      container.innerHTML = `<div class="waiting-state" style="padding:24px;"><p>${loading ? 'Loading stops…' : this.escapeHTML(error)}</p></div>`;
+      return;
+    }
+
+    const stations = train.stations || [];
+    if (stations.length === 0) {
+      container.innerHTML = '<div class="waiting-state" style="padding:24px;"><p>No stop times reported for this train.</p></div>';
+      return;
+    }
+
+    // The train is between the last departed stop and the first one it hasn't left
+    const nextIdx = stations.findIndex(s => s.status !== 'Departed');
+    const atStation = nextIdx >= 0 && stations[nextIdx].status === 'Station';
+    const speed = train.velocity ? ` · ${Math.round(train.velocity)} mph` : '';
+    let position = '';
+    if (nextIdx < 0) {
+      position = `🏁 Arrived at ${stations[stations.length - 1].name}`;
+    } else if (!atStation && nextIdx === 0) {
+      position = `🕒 Not yet departed ${stations[0].name}`;
+    } else if (!atStation) {
+      position = `🚆 Between ${stations[nextIdx - 1].name} and ${stations[nextIdx].name}${speed}`;
+    }
+    const positionRow = position ? `<p class="timeline-position">${this.escapeHTML(position)}</p>` : '';
+
+    container.innerHTML = stations.map((station, idx) => {
+      const departed = station.status === 'Departed';
+      const current = atStation && idx === nextIdx;
+      const delay = Providers.getStopDelay(station);
+      const delayStatus = Providers.describeStatus(Providers.classifyDelay(delay), delay);
+
+      // Actual times for stops already served, estimates for the rest
+      const timeRow = (label, actual, scheduled, estimated) => {
+        if (!actual && !scheduled) return '';
+        const shown = this.formatStopTime(actual || scheduled, station.tz);
+        const sch = this.formatStopTime(scheduled, station.tz);
+        const prefix = estimated && actual ? 'est. ' : '';
+        return `${label} <strong>${prefix}${shown}</strong>${actual && sch && sch !== shown ? ` <s>${sch}</s>` : ''}`;
+      };
+      const times = [
+        idx > 0 ? timeRow('Arr', station.arr, station.schArr, !departed && !current) : '',
+        idx < stations.length - 1 ? timeRow('Dep', station.dep, station.schDep, !departed) : ''
+      ].filter(Boolean).join(' · ');
+
+      return `
+        ${idx === nextIdx ? positionRow : ''}
+        <div class="timeline-stop ${departed ? 'departed' : ''} ${current ? 'current' : ''}">
+          <div class="timeline-dot"></div>
+          <div class="timeline-body">
+            <div class="timeline-name">${this.escapeHTML(station.name)}${station.code && station.code !== station.name ? `<span class="timeline-code">${this.escapeHTML(station.code)}</span>` : ''}</div>
+            <div class="timeline-times">${current ? '🚆 At station now · ' : ''}${times || 'No times'}</div>
+          </div>
+          ${delay !== null ? `<div class="timeline-delay" style="color:${delayStatus.color};">${delayStatus.label}</div>` : ''}
+        </div>
+      `;
+    }).join('') + (nextIdx < 0 ? positionRow : '');
+
+    // Bring the train's position into view in long timelines
+    const here = container.querySelector('.timeline-position, .timeline-stop.current');
+    if (here && here.scrollIntoView) here.scrollIntoView({ block: 'center' });
+  },
+
+  /**
+   * Time of day for a stop, in the station's own time zone when known
+   */
+  formatStopTime(iso, timeZone) {
+    if (!iso) return '';
+    const options = { hour: 'numeric', minute: '2-digit' };
+    try {
+      return new Date(iso).toLocaleTimeString([], timeZone ? { ...options, timeZone } : options);
+    } catch {
+      return new Date(iso).toLocaleTimeString([], options);
+    }
+  },
+
+  /**
+   * Open the station departure board
+   */
+  openStationBoard() {
+    if (this.elements.stationModal) {
+      this.elements.stationModal.classList.remove('hidden');
+    }
+  },
+
+  /**
+   * Close the station departure board
+   */
+  closeStationBoard() {
+    if (this.elements.stationModal) {
+      this.elements.stationModal.classList.add('hidden');
+    }
+  },
+
+  /**
+   * Render a station's arrivals/departures board
+   * @param {Object} station - { code, name, tz, ... } from AmtrakerClient.getStation
+   * @param {Array} rows - From AmtrakerClient.buildStationBoard
+   * @param {Object} [state] - { loading, error } while the station is fetched
+   */
+  renderStationBoard(station, rows, { loading = false, error = null } = {}) {
+    if (this.elements.stationBoardTitle) {
+      this.elements.stationBoardTitle.textContent = `🚉 ${station.name || station.code}`;
+    }
+    if (this.elements.stationBoardSummary) {
+      const address = [station.address1, station.city, station.state].filter(Boolean).join(', ');
+      this.elements.stationBoardSummary.textContent = `${station.code}${address ? ` · ${address}` : ''} · times are the station's local time`;
+    }
+
+    const container = this.elements.stationBoardList;
+    if (!container) return;
+
+    if (loading || error || rows.length === 0) {
+      const message = loading ? 'Loading departures…' : error || 'No trains scheduled here right now.';
+      container.innerHTML = `<div class="waiting-state" style="padding:24px;"><p>${this.escapeHTML(message)}</p></div>`;
+      return;
+    }
+
+    container.innerHTML = rows.map(row => {
+      const { train, stop } = row;
+      const name = train ? train.routeName || 'Unknown' : 'Not running yet';
+      const endpoint = !train ? '' : row.terminates ? `from ${train.origName || '?'}` : `to ${train.destName || '?'}`;
+
+      const trainStatus = train ? Providers.getStatus(train) : null;
+      let status = 'No live data';
+      let statusColor = 'var(--text-muted)';
+      if (stop && stop.status === 'Departed') {
+        status = row.terminates ? 'Arrived' : 'Departed';
+      } else if (stop && stop.status === 'Station') {
+        status = row.terminates ? 'Arrived' : 'Boarding';
+        statusColor = 'var(--accent)';
+      } else if (trainStatus && (trainStatus.key === 'cancelled' || trainStatus.key === 'predeparture')) {
+        status = trainStatus.label;
+        statusColor = trainStatus.color;
+      } else if (row.delay !== null) {
+        const delayStatus = Providers.describeStatus(Providers.classifyDelay(row.delay), row.delay);
+        status = delayStatus.label;
+        statusColor = delayStatus.color;
+      } else if (stop) {
+        status = 'Scheduled';
+      }
+
+      const shown = row.time ? this.formatStopTime(new Date(row.time).toISOString(), station.tz) : '—';
+      const sch = row.scheduled ? this.formatStopTime(new Date(row.scheduled).toISOString(), station.tz) : '';
+      const departed = stop && stop.status === 'Departed';
+
+      return `
+        <div class="board-row ${departed ? 'departed' : ''}" ${train ? `data-train-detail="${this.escapeHTML(row.trainID)}"` : ''}>
+          <div>
+            <div class="board-train">${train ? Providers.getEmoji(train) : '🚆'} ${this.escapeHTML(name)} <span class="timeline-code">#${this.escapeHTML(row.trainNum)}</span></div>
+            <div class="board-meta">${this.escapeHTML(endpoint)}${endpoint ? ' · ' : ''}<span style="color:${statusColor};font-weight:600;">${status}</span></div>
+          </div>
+          <div class="board-time">${row.terminates ? 'Arr ' : ''}${shown}${sch && sch !== shown ? `<s>${sch}</s>` : ''}</div>
+          <div class="board-countdown" ${row.time && !departed ? `data-countdown="${row.time}"` : ''}>${row.time && !departed ? this.formatCountdown(row.time) : ''}</div>
+        </div>
+      `;
+    }).join('');
+  },
+
+  /**
+   * Tick the board's countdowns between refreshes
+   */
+  updateStationCountdowns() {
+    this.elements.stationBoardList?.querySelectorAll('[data-countdown]').forEach(el => {
+      el.textContent = this.formatCountdown(parseInt(el.dataset.countdown));
+    });
+  },
+
+  /**
+   * "in 12 min", "in 1h 05m", "now" or "due 3 min ago" for a due time (ms)
+   */
+  formatCountdown(time, now = Recorder.now()) {
+    const minutes = Math.round((time - now) / 60000);
+    if (minutes === 0) return 'now';
+    if (minutes < 0) return `due ${-minutes} min ago`;
+    if (minutes < 60) return `in ${minutes} min`;
+    return `in ${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+  },
+
+  /**
+   * Render saved recordings in the health panel
+   * @param {Array} recordings - From Recorder.list()
+   * @param {Object} handlers - { onReplay(id), onDelete(id) }
+   */
+  renderRecordings(recordings, { onReplay, onDelete }) {
+    const container = this.elements.recordingsList;
+    if (!container) return;
+
+    container.innerHTML = '';
+    recordings.forEach(rec => {
+      const minutes = Math.max(1, Math.round((rec.endedAt - rec.startedAt) / 60000));
+      const size = rec.bytes > 1048576 ? `${(rec.bytes / 1048576).toFixed(1)} MB` : `${Math.ceil(rec.bytes / 1024)} KB`;
+      const div = document.createElement('div');
+      div.className = 'settings-location-item';
+      div.innerHTML = `
+        <div style="min-width:0;">
+          <div class="location-name">${this.escapeHTML(rec.name)}</div>
+          <div class="location-coords">${minutes} min · ${rec.count} responses · ${size}</div>
+        </div>
+        <div style="display:flex;gap:4px;">
+          <button class="btn btn-small" data-action="replay" title="Replay" ${rec.count === 0 ? 'disabled' : ''}>▶️</button>
+          <button class="btn btn-small" data-action="delete" title="Delete recording">✕</button>
+        </div>
+      `;
+      div.querySelector('[data-action="replay"]').addEventListener('click', () => onReplay(rec.id));
+      div.querySelector('[data-action="delete"]').addEventListener('click', () => onDelete(rec.id));
+      container.appendChild(div);
+    });
+  },
+
+  /**
+   * Show recording/replay state on the record button and status bar badge
+   * @param {Object} state - { recording: boolean, replayText: string|null }
+   */
+  updateRecorderState({ recording, replayText }) {
+    if (this.elements.btnRecord) {
+      this.elements.btnRecord.textContent = recording ? '⏹️ Stop Recording' : '⏺️ Start Recording';
+      this.elements.btnRecord.disabled = !!replayText;
+    }
+    this.elements.btnStopReplay?.classList.toggle('hidden', !replayText);
+
+    const badge = this.elements.recorderBadge;
+    if (badge) {
+      badge.textContent = replayText || (recording ? '⏺️ REC' : '');
+      badge.style.color = replayText ? 'var(--accent)' : 'var(--danger)';
+      badge.classList.toggle('hidden', !replayText && !recording);
+    }
+  },
+
   /**
    * Apply theme
    */
@@ -0,0 +1,57 @@
+/**
+ * Watchlist — specific trains followed anywhere in the network
+ * An entry pins a train number ("48") or a route name ("Lake Shore
+ * Limited"); matching trains are tracked on every refresh whatever their
+ * distance. Entries are stored as { id, type: 'train'|'route', value, addedAt }.
+ */
+
+const Watchlist = {
+  TYPES: {
+    train: { label: 'Train', emoji: '#️⃣' },
+    route: { label: 'Route', emoji: '🛤️' }
+  },
+
+  /**
+   * Build an entry from what was typed: a number (with or without "#")
+   * watches that train, anything else watches the route
+   * @param {string} query
+   */
+  create(query) {
+    const value = String(query || '').trim().replace(/^#\s*/, '');
+    // Punctuation alone would normalize to '' and match every route
+    if (!this.normalize(value)) throw new Error('Enter a train number or route name');
+
+    return {
+      id: `watch-${Date.now().toString(36)}`,
+      type: /^\d+[a-z]?$/i.test(value) ? 'train' : 'route',
+      value,
+      addedAt: Date.now()
+    };
+  },
+
+  /**
+   * Short label for lists, e.g. "Train #48" or "Lake Shore Limited"
+   */
+  describe(entry) {
+    return entry.type === 'train' ? `Train #${entry.value}` : entry.value;
+  },
+
+  /**
+   * Whether a train is covered by an entry. Route names match on any
+   * part, so "Lake Shore" finds the Lake Shore Limited.
+   */
+  matches(entry, train) {
+    if (entry.type === 'train') {
+      return String(train.trainNum).toLowerCase() === entry.value.toLowerCase();
+    }
+    const route = this.normalize(train.routeName);
+    const wanted = this.normalize(entry.value);
+    return route !== '' && wanted !== '' && route.includes(wanted);
+  },
+
+  normalize(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  }
+};
+
+window.Watchlist = Watchlist;
@@ -0,0 +1,408 @@
+#!/usr/bin/env node
+/**
+ * Mock API server — stands in for api-v3.amtraker.com and the MTA GTFS-RT feeds
+ * No dependencies, just Node. Serves synthetic trains moving back and forth
+ * along a few lines around a center point, or fixture files if present.
+ *
+ *   node mock/server.js [--port 8081] [--center 41.8786,-87.6398] [--fixtures dir] [--stale]
+ *
+ * Endpoints (all with CORS headers):
+ *   GET /v3/trains              All trains, keyed by train number
+ *   GET /v3/trains/:num         One train number
+ *   GET /v3/stations            All stations, keyed by code
+ *   GET /v3/stations/:code      One station
+ *   GET /v3/stale               { avgLastUpdate, activeTrains, stale }
+ *   GET /gtfs/:feed             GTFS-RT protobuf (VehiclePositions + TripUpdates + Alerts)
+ *
+ * Fixture files in --fixtures override the synthetic data:
+ *   trains.json, stations.json (Amtraker v3 response bodies), <feed>.pb (raw GTFS-RT)
+ *
+ * Point the app at it with http://localhost:8080/?mock=http://localhost:8081
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// ──────────────────────────────────────────────
+// Options
+// ──────────────────────────────────────────────
+
+function parseArgs(argv) {
+  const opts = { port: 8081, center: [41.8786, -87.6398], fixtures: null, stale: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') opts.port = parseInt(argv[++i]);
+    else if (arg === '--center') opts.center = argv[++i].split(',').map(Number);
+    else if (arg === '--fixtures') opts.fixtures = path.resolve(argv[++i]);
+    else if (arg === '--stale') opts.stale = true;
+    else if (arg === '--help' || arg === '-h') {
+      console.log('Usage: node mock/server.js [--port 8081] [--center lat,lon] [--fixtures dir] [--stale]');
+      process.exit(0);
+    }
+  }
+  return opts;
+}
+
+const opts = parseArgs(process.argv.slice(2));
+const [CENTER_LAT, CENTER_LON] = opts.center;
+const EPOCH = Date.now();
+
+// ──────────────────────────────────────────────
+// Synthetic network: lines are offsets (degrees) from the center
+// ──────────────────────────────────────────────
+
+const AMTRAK_LINES = [
+  {
+    trainNum: '301', routeName: 'Lincoln Service', provider: 'Amtrak', speed: 62, delayMin: 0, offset: 0,
+    stops: [['MCU', 'Union Station', 0, 0], ['MSM', 'Summit', -0.09, -0.16], ['MJO', 'Joliet', -0.35, -0.44], ['MDW', 'Dwight', -0.78, -0.77]]
+  },
+  {
+    trainNum: '331', routeName: 'Hiawatha', provider: 'Amtrak', speed: 70, delayMin: 12, offset: 20,
+    stops: [['MCU', 'Union Station', 0, 0], ['MGL', 'Glenview', 0.2, -0.17], ['MST', 'Sturtevant', 0.85, -0.25], ['MMK', 'Milwaukee', 1.16, -0.27]]
+  },
+  {
+    trainNum: '350', routeName: 'Wolverine', provider: 'Amtrak', speed: 55, delayMin: 35, offset: 45,
+    stops: [['MCU', 'Union Station', 0, 0], ['MHM', 'Hammond', -0.1, 0.13], ['MMC', 'Michigan City', -0.16, 0.74], ['MNI', 'Niles', -0.05, 1.38]]
+  },
+  {
+    trainNum: '92', routeName: 'Maple Leaf', provider: 'Via', speed: 48, delayMin: 4, offset: 10,
+    stops: [['MHM', 'Hammond', -0.1, 0.13], ['MGA', 'Gary', -0.28, 0.29], ['MCH', 'Chesterton', -0.26, 0.58]]
+  }
+];
+
+const GTFS_LINES = [
+  {
+    tripId: 'T1001', routeId: '1', label: '1001', speed: 40, delayMin: 3, offset: 5,
+    stops: [['101', 'Central', 0.01, 0.01], ['102', 'Northside', 0.08, 0.02], ['103', 'Lakeview', 0.16, 0.04], ['104', 'Harbor', 0.26, 0.05]]
+  },
+  {
+    tripId: 'T2002', routeId: '2', label: '2002', speed: 35, delayMin: -1, offset: 15,
+    stops: [['201', 'Central', 0.01, 0.01], ['202', 'West End', 0.0, -0.08], ['203', 'Oak Park', -0.01, -0.18]]
+  }
+];
+
+// ──────────────────────────────────────────────
+// Geometry
+// ──────────────────────────────────────────────
+
+function haversine(lat1, lon1, lat2, lon2) {
+  const R = 3959;
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * Math.sin(dLon / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function bearing(lat1, lon1, lat2, lon2) {
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const y = Math.sin(dLon) * Math.cos(lat2 * Math.PI / 180);
+  const x = Math.cos(lat1 * Math.PI / 180) * Math.sin(lat2 * Math.PI / 180) -
+    Math.sin(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * Math.cos(dLon);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+function cardinal(deg) {
+  return ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'][Math.round(deg / 45) % 8];
+}
+
+/**
+ * Where a line's train is right now. Trains shuttle end to end, so the
+ * stop order (and heading) flips on the way back.
+ */
+function simulate(line, now = Date.now()) {
+  const stops = line.stops.map(([code, name, dLat, dLon]) => ({ code, name, lat: CENTER_LAT + dLat, lon: CENTER_LON + dLon }));
+  const cumulative = [0];
+  for (let i = 1; i < stops.length; i++) {
+    cumulative.push(cumulative[i - 1] + haversine(stops[i - 1].lat, stops[i - 1].lon, stops[i].lat, stops[i].lon));
+  }
+  const length = cumulative[cumulative.length - 1];
+
+  const traveled = ((now - EPOCH) / 3600000) * line.speed + line.offset;
+  const cycle = traveled % (2 * length);
+  const outbound = cycle <= length;
+  const along = outbound ? cycle : 2 * length - cycle;
+
+  let seg = 0;
+  while (seg < stops.length - 2 && along > cumulative[seg + 1]) seg++;
+  const segLength = cumulative[seg + 1] - cumulative[seg];
+  const f = segLength > 0 ? (along - cumulative[seg]) / segLength : 0;
+  const a = stops[seg];
+  const b = stops[seg + 1];
+  const lat = a.lat + (b.lat - a.lat) * f;
+  const lon = a.lon + (b.lon - a.lon) * f;
+  const heading = outbound ? bearing(a.lat, a.lon, b.lat, b.lon) : bearing(b.lat, b.lon, a.lat, a.lon);
+
+  // Stops in travel order with miles still to go (negative = passed)
+  const ordered = stops.map((s, i) => ({ ...s, toGo: outbound ? cumulative[i] - along : along - cumulative[i] }));
+  if (!outbound) ordered.reverse();
+
+  const delayMs = line.delayMin * 60000;
+  const timeline = ordered.map(s => {
+    const sch = now + (s.toGo / line.speed) * 3600000 - delayMs;
+    return { ...s, sch, est: sch + delayMs };
+  });
+
+  return { lat, lon, heading, timeline, outbound };
+}
+
+// ──────────────────────────────────────────────
+// Amtraker v3 shapes
+// ──────────────────────────────────────────────
+
+const iso = ms => new Date(ms).toISOString();
+
+function amtrakTrain(line, now = Date.now()) {
+  const sim = simulate(line, now);
+  const first = sim.timeline[0];
+  const last = sim.timeline[sim.timeline.length - 1];
+  const day = new Date(now).getDate();
+
+  return {
+    routeName: line.routeName,
+    trainNum: line.trainNum,
+    trainID: `${line.trainNum}-${day}`,
+    lat: sim.lat,
+    lon: sim.lon,
+    trainTimely: line.delayMin > 5 ? `${line.delayMin} Minutes Late` : 'On Time',
+    iconColor: line.delayMin > 30 ? '#c60b1e' : line.delayMin > 5 ? '#c4840f' : '#2a893d',
+    textColor: '#ffffff',
+    stations: sim.timeline.map(s => ({
+      name: s.name,
+      code: s.code,
+      tz: 'America/Chicago',
+      bus: false,
+      schArr: iso(s.sch),
+      schDep: iso(s.sch + 60000),
+      arr: iso(s.est),
+      dep: iso(s.est + 60000),
+      arrCmnt: '',
+      depCmnt: '',
+      status: s.toGo < -0.05 ? 'Departed' : Math.abs(s.toGo) <= 0.05 ? 'Station' : 'Enroute'
+    })),
+    heading: cardinal(sim.heading),
+    eventCode: first.code,
+    eventTZ: 'America/Chicago',
+    eventName: first.name,
+    origCode: first.code,
+    originTZ: 'America/Chicago',
+    origName: first.name,
+    destCode: last.code,
+    destTZ: 'America/Chicago',
+    destName: last.name,
+    trainState: 'Active',
+    velocity: line.speed,
+    statusMsg: ' ',
+    createdAt: iso(EPOCH),
+    updatedAt: iso(now),
+    lastValTS: iso(now),
+    objectID: parseInt(line.trainNum),
+    provider: line.provider,
+    providerShort: line.provider === 'Via' ? 'VIA' : 'AMTK',
+    onlyOfTrain: true,
+    alerts: []
+  };
+}
+
+function amtrakTrains() {
+  const trains = {};
+  AMTRAK_LINES.forEach(line => { trains[line.trainNum] = [amtrakTrain(line)]; });
+  return trains;
+}
+
+function amtrakStations() {
+  const stations = {};
+  AMTRAK_LINES.forEach(line => {
+    const day = new Date().getDate();
+    line.stops.forEach(([code, name, dLat, dLon]) => {
+      if (!stations[code]) {
+        stations[code] = {
+          name, code, tz: 'America/Chicago',
+          lat: CENTER_LAT + dLat, lon: CENTER_LON + dLon,
+          hasAddress: false, address1: '', address2: '', city: name, state: '', zip: '',
+          trains: []
+        };
+      }
+      stations[code].trains.push(`${line.trainNum}-${day}`);
+    });
+  });
+  return stations;
+}
+
+// ──────────────────────────────────────────────
+// GTFS-RT protobuf encoding with the standard field numbers: route_id in
+// trip field 3; position in vehicle field 2 (speed in its field 4),
+// current_stop_sequence in field 3, stop_id in field 7
+// ──────────────────────────────────────────────
+
+function varint(n) {
+  const out = [];
+  let v = BigInt.asUintN(64, BigInt(Math.trunc(n)));
+  do {
+    let byte = Number(v & 0x7fn);
+    v >>= 7n;
+    if (v) byte |= 0x80;
+    out.push(byte);
+  } while (v);
+  return out;
+}
+
+/**
+ * Encode a message from [fieldNumber, type, value] triples
+ * (type: varint | float | string | msg); null values are skipped
+ */
+function encode(fields) {
+  const out = [];
+  for (const [field, type, value] of fields) {
+    if (value === null || value === undefined) continue;
+    if (type === 'varint') {
+      out.push(...varint((field << 3) | 0), ...varint(value));
+    } else if (type === 'float') {
+      const b = Buffer.alloc(4);
+      b.writeFloatLE(value);
+      out.push(...varint((field << 3) | 5), ...b);
+    } else {
+      const bytes = type === 'string' ? [...Buffer.from(String(value))] : value;
+      out.push(...varint((field << 3) | 2), ...varint(bytes.length), ...bytes);
+    }
+  }
+  return out;
+}
+
+const translated = text => encode([[1, 'msg', encode([[1, 'string', text], [2, 'string', 'en']])]]);
+
+function gtfsFeed(feedName) {
+  const now = Date.now();
+  const nowSec = Math.floor(now / 1000);
+  const entities = [];
+
+  // Stagger trains per feed so lirr and mnr don't overlap exactly
+  const stagger = [...feedName].reduce((sum, c) => sum + c.charCodeAt(0), 0) % 20;
+
+  GTFS_LINES.forEach((line, i) => {
+    const sim = simulate({ ...line, offset: line.offset + stagger }, now);
+    const tripId = `${feedName}-${line.tripId}`;
+    const trip = encode([[1, 'string', tripId], [3, 'string', line.routeId]]);
+    const next = sim.timeline.find(s => s.toGo > 0.05) || sim.timeline[sim.timeline.length - 1];
+
+    const vehicle = encode([
+      [1, 'msg', trip],
+      [2, 'msg', encode([[1, 'float', sim.lat], [2, 'float', sim.lon], [3, 'float', sim.heading], [4, 'float', line.speed * 0.44704]])],
+      [3, 'varint', sim.timeline.indexOf(next) + 1],
+      [4, 'varint', 2], // IN_TRANSIT_TO
+      [5, 'varint', nowSec],
+      [7, 'string', next.code],
+      [8, 'msg', encode([[1, 'string', `${feedName}-${line.label}`], [2, 'string', line.label]])]
+    ]);
+    entities.push(encode([[1, 'string', `v${i}`], [4, 'msg', vehicle]]));
+
+    const delaySec = line.delayMin * 60;
+    const updates = sim.timeline.map((s, seq) => {
+      const event = encode([[1, 'varint', delaySec], [2, 'varint', Math.floor(s.est / 1000)]]);
+      return [2, 'msg', encode([[1, 'varint', seq + 1], [2, 'msg', event], [3, 'msg', event], [4, 'string', s.code]])];
+    });
+    const tripUpdate = encode([[1, 'msg', trip], ...updates, [4, 'varint', nowSec], [5, 'varint', delaySec]]);
+    entities.push(encode([[1, 'string', `t${i}`], [3, 'msg', tripUpdate]]));
+  });
+
+  // One service alert on route 1
+  const alert = encode([
+    [1, 'msg', encode([[1, 'varint', nowSec - 3600], [2, 'varint', nowSec + 7200]])],
+    [5, 'msg', encode([[2, 'string', '1']])],
+    [6, 'varint', 9], // MAINTENANCE
+    [7, 'varint', 3], // SIGNIFICANT_DELAYS
+    [10, 'msg', translated('Track work: expect delays of up to 10 minutes')],
+    [11, 'msg', translated('Trains share a single track between Northside and Lakeview.')]
+  ]);
+  entities.push(encode([[1, 'string', 'a1'], [5, 'msg', alert]]));
+
+  const header = encode([[1, 'string', '2.0'], [2, 'varint', 0], [3, 'varint', nowSec]]);
+  return Buffer.from(encode([[1, 'msg', header], ...entities.map(e => [2, 'msg', e])]));
+}
+
+// ──────────────────────────────────────────────
+// Fixtures
+// ──────────────────────────────────────────────
+
+function readFixture(name) {
+  if (!opts.fixtures) return null;
+  const file = path.join(opts.fixtures, name);
+  return fs.existsSync(file) ? fs.readFileSync(file) : null;
+}
+
+function fixtureJSON(name) {
+  const buf = readFixture(name);
+  return buf ? JSON.parse(buf.toString('utf8')) : null;
+}
+
+// ──────────────────────────────────────────────
+// Server
+// ──────────────────────────────────────────────
+
+const CORS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Access-Control-Allow-Headers': '*'
+};
+
+function send(res, status, body, contentType) {
+  res.writeHead(status, { ...CORS, 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+  res.end(body);
+}
+
+function sendJSON(res, obj, status = 200) {
+  send(res, status, JSON.stringify(obj), 'application/json');
+}
+
+function route(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const parts = url.pathname.split('/').filter(Boolean);
+
+  if (req.method === 'OPTIONS') return send(res, 204, '', 'text/plain');
+  if (req.method !== 'GET') return sendJSON(res, { error: 'Method not allowed' }, 405);
+
+  if (parts[0] === 'v3') {
+    const trains = fixtureJSON('trains.json') || amtrakTrains();
+    const stations = fixtureJSON('stations.json') || amtrakStations();
+
+    if (parts[1] === 'trains' && parts.length === 2) return sendJSON(res, trains);
+    if (parts[1] === 'trains' && parts.length === 3) {
+      const num = parts[2].split('-')[0];
+      return sendJSON(res, trains[num] ? { [num]: trains[num] } : {});
+    }
+    if (parts[1] === 'stations' && parts.length === 2) return sendJSON(res, stations);
+    if (parts[1] === 'stations' && parts.length === 3) {
+      const code = parts[2].toUpperCase();
+      return sendJSON(res, stations[code] ? { [code]: stations[code] } : {});
+    }
+    if (parts[1] === 'stale') {
+      return sendJSON(res, {
+        avgLastUpdate: opts.stale ? 45 * 60000 : 30000,
+        activeTrains: Object.keys(trains).length,
+        stale: opts.stale
+      });
+    }
+  }
+
+  if (parts[0] === 'gtfs' && parts.length === 2) {
+    const body = readFixture(`${parts[1]}.pb`) || gtfsFeed(parts[1]);
+    return send(res, 200, body, 'application/x-protobuf');
+  }
+
+  sendJSON(res, { error: 'Not found' }, 404);
+}
+
+http.createServer((req, res) => {
+  try {
+    route(req, res);
+  } catch (err) {
+    console.error(err);
+    sendJSON(res, { error: err.message }, 500);
+  }
+  console.log(`${new Date().toLocaleTimeString()} ${req.method} ${req.url} ${res.statusCode}`);
+}).listen(opts.port, () => {
+  console.log(`🚂 Mock Amtraker + GTFS-RT server on http://localhost:${opts.port}`);
+  console.log(`   Center ${CENTER_LAT}, ${CENTER_LON}${opts.fixtures ? ` · fixtures from ${opts.fixtures}` : ''}${opts.stale ? ' · reporting stale data' : ''}`);
+  console.log(`   Open the app with ?mock=http://localhost:${opts.port}`);
+});